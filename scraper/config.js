@@ -0,0 +1,594 @@
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+
+// Setup __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Configuration
+const CONFIG = {
+  baseUrl: 'https://sites.williams.edu/makerspace/projects/',
+  siteUrl: 'https://sites.williams.edu/makerspace/', // WordPress root, used for the REST API and RSS feed
+  publicUrl: 'https://alicesore.github.io/makerspace-project-display/', // Where the display is published (GitHub Pages)
+  dataPath: path.join(__dirname, '../data/projects.json'),
+  diagnosticsPath: path.join(__dirname, '../data/scrape-diagnostics.json'),
+  changesPath: path.join(__dirname, '../data/changes.json'),
+  changesMarkdownPath: path.join(__dirname, '../data/changes.md'),
+  reportPath: path.join(__dirname, '../data/scrape-report.json'), // Per-URL attempts and outcomes
+  tagsPath: path.join(__dirname, '../data/tags.json'), // Tag index with project counts, for the display
+  feedPath: path.join(__dirname, '../data/feed.xml'), // Atom feed of the saved projects
+  jsonFeedPath: path.join(__dirname, '../data/feed.json'), // JSON Feed of the saved projects
+  taxonomyPath: path.join(__dirname, 'tag-taxonomy.yaml'), // Canonical tags and their synonyms
+  overridesPath: path.join(__dirname, '../data/overrides.json'), // Hand-curated edits, kept across scrapes
+  pendingPath: path.join(__dirname, '../data/pending.json'), // New projects waiting for approval
+  moderationPath: path.join(__dirname, '../data/moderation.json'), // Approve/reject decisions (see moderate.js)
+  qrCodePath: path.join(__dirname, '../assets/qr-codes/'),
+  pagesPath: path.join(__dirname, '../projects/'), // Static detail page per project
+  // QR codes linking each card to its project page
+  qrCode: {
+    target: 'post', // 'post' = the original post, 'page' = the project's static page on publicUrl (see pages)
+    format: 'png', // 'png' or 'svg'
+    embed: 'file', // 'file' = projects.json holds the file path, 'inline' = a data URL (much larger)
+    publicPath: 'assets/qr-codes/', // Relative to the site root, as used in projects.json
+    width: 200,
+    margin: 2, // Quiet zone, in modules
+    color: { dark: '#000000', light: '#FFFFFF' },
+    errorCorrectionLevel: 'M', // L, M, Q or H; use Q or H with a logo, which hides part of the code
+    logo: '', // Image placed in the center, e.g. the makerspace logo; empty for none
+    logoScale: 0.2, // Logo width as a fraction of the QR code width
+    queryParams: {} // Added to the encoded URL, e.g. { utm_source: 'lobby-display', utm_medium: 'qr' }
+  },
+  // Local copies of project images, resized for the display
+  images: {
+    mirror: process.env.MIRROR_IMAGES !== 'false',
+    outputPath: path.join(__dirname, '../assets/images/projects/'),
+    publicPath: 'assets/images/projects/', // Relative to the site root, as used in projects.json
+    display: { width: 800, height: 450 }, // Fits the card image area on high-DPI screens
+    thumbnail: { width: 320, height: 180 },
+    quality: 80,
+    galleryLimit: 6,
+    timeout: 30000,
+    // Main image selection: candidates are scored on size, aspect ratio and position in the post
+    selection: {
+      minDimension: 150, // Images smaller than this on either side are treated as icons
+      targetAspectRatio: 3 / 2 // The card image area is ~60% of the card width by 192px
+    }
+  },
+  dryRun: false, // Scrape and report, but don't write projects.json or any other output
+  isCI: process.env.CI === 'true', // GitHub Actions sets CI=true
+  maxProjects: process.env.NODE_ENV === 'development' ? 5 : null, // Limit for testing
+  delays: {
+    // Slower in CI to avoid rate limiting, faster for local development
+    betweenPages: process.env.CI === 'true' ? 3000 : 1000
+  },
+  // Project pages are scraped by a pool of workers sharing one rate limiter.
+  // Conservative in CI to avoid rate limiting, faster for local development.
+  concurrency: {
+    maxConcurrent: process.env.CI === 'true' ? 1 : 4, // Workers (and browser pages) at once
+    requestsPerSecond: process.env.CI === 'true' ? 0.5 : 4, // Across all workers
+    jitterMs: process.env.CI === 'true' ? 1000 : 250 // Random extra wait per request
+  },
+  // Timeouts, server errors and Cloudflare challenges are retried with exponential backoff
+  retry: {
+    maxAttempts: 3, // Including the first request
+    baseDelayMs: process.env.CI === 'true' ? 5000 : 1000, // Doubled after each failed attempt
+    maxDelayMs: 30000
+  },
+    // Tag filtering configuration
+  tagFilter: {
+    enabled: true, // Temporarily disabled to debug CI issues
+    mode: 'any', // 'any' = at least one tag, 'all' = all tags required
+    requiredTags: ['makerspace'] // Tags that must be present
+  },
+  // Approval mode: new projects wait in pending.json until approved with moderate.js.
+  // Rejections recorded in moderation.json are applied either way.
+  moderation: {
+    enabled: process.env.MODERATION === 'true'
+  },
+  // Lightweight static page per project (title, makers, images, description, link to the post),
+  // served from publicUrl; qrCode.target: 'page' makes QR codes open these instead of WordPress
+  pages: {
+    enabled: true,
+    publicPath: 'projects/' // Relative to publicUrl; keep in step with pagesPath
+  },
+  // Atom and JSON feeds of the saved projects, published next to projects.json
+  feeds: {
+    enabled: true,
+    title: 'Williams College Makerspace Projects',
+    description: 'Student projects from the Williams College Makerspace & FabLab',
+    author: 'Williams College Makerspace', // For entries that don't credit any makers
+    limit: 50 // Newest projects included
+  },
+  // Videos in project posts: <video> files, YouTube/Vimeo/other player iframes and oEmbed links
+  media: {
+    enabled: true,
+    limit: 3, // Max media items per project
+    fetchPosters: true, // Ask oEmbed endpoints for posters the page doesn't give (Vimeo)
+    oembed: {
+      vimeo: 'https://vimeo.com/api/oembed.json'
+    }
+  },
+  // Post text saved with each project: a sanitized HTML body, plain text and a short excerpt
+  content: {
+    excerptLength: 200, // Max characters in description, cut at a word boundary
+    wordsPerMinute: 200 // For readingTimeMinutes
+  },
+  // Makers listed on each project
+  authors: {
+    // Site accounts that post on behalf of makers; never shown as a project's author (case-insensitive)
+    posterAccounts: ['admin', 'administrator', 'makerspace', 'fablab', 'webmaster', 'editor', 'wordpress']
+  },
+  // Tags to exclude from being saved and displayed. Matched exactly after mapping both
+  // sides to canonical tags, so "williams" also drops "Williams College" (see tag-taxonomy.yaml)
+  excludedTags: ['makerspace', 'fablab', 'fab lab', 'williams', 'college'],
+  // Other project listings to aggregate, e.g. a partner lab. Empty = just baseUrl above.
+  // Each entry: { id, label, baseUrl, siteUrl?, tagFilter?, excludedTags? }; missing settings
+  // fall back to the top-level ones. Projects from every site but the first get IDs prefixed
+  // with the site id, so the same slug on two sites can't collide.
+  sites: [],
+  // Incremental mode: reuse unchanged projects from the previous projects.json
+  incremental: {
+    enabled: process.env.FULL_SCRAPE !== 'true', // FULL_SCRAPE=true forces a full re-scrape
+  },
+  // Refuse to overwrite projects.json with a result that looks like a failed scrape
+  safetyCheck: {
+    enabled: process.env.FORCE_SAVE !== 'true', // FORCE_SAVE=true accepts the new result regardless
+    maxDropRatio: 0.3, // Max fraction of previously saved projects that may disappear in one run
+    maxErrorRate: 0.25 // Max fraction of scraped projects that may fail (reused ones are not counted)
+  },
+  // Where project data comes from: 'auto' tries each source in turn, falling back to the HTML crawler
+  source: {
+    type: process.env.SCRAPER_SOURCE || 'auto', // 'auto', 'wp-api', 'rss', 'sitemap' or 'html'
+    sitemaps: ['wp-sitemap.xml', 'sitemap_index.xml'], // Tried in order, relative to siteUrl
+    perPage: 100 // Posts per WordPress REST API request (max 100)
+  },
+  // Log output (see logger.js); LOG_LEVEL, LOG_FORMAT and LOG_FILE set these from the environment
+  logging: {
+    level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'development' ? 'debug' : 'info'), // debug, info, warn, error or silent
+    format: process.env.LOG_FORMAT || 'text', // 'text' = readable lines, 'json' = one JSON object per line
+    file: process.env.LOG_FILE || '' // Also append every record here as JSON lines; empty for none
+  },
+  // Page fetching: try a plain HTTP request first, fall back to headless Chrome
+  fetch: {
+    strategy: process.env.FETCH_STRATEGY || 'auto', // 'auto' = static then browser, 'static' or 'browser' only
+    timeout: process.env.CI === 'true' ? 60000 : 30000,
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    // Checked once after the browser launches; set CONNECTIVITY_CHECK_URL= (empty) to skip, e.g. offline
+    connectivityCheckUrl: process.env.CONNECTIVITY_CHECK_URL ?? 'https://www.google.com'
+  }
+};
+
+// Validators for every option that can be set from a config file or the CLI.
+// Each returns an error message, or null if the value is fine.
+const isHttpUrl = value => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const validators = {
+  url: value => typeof value === 'string' && isHttpUrl(value) ? null : 'must be an http(s) URL',
+  path: value => typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty path',
+  string: value => typeof value === 'string' ? null : 'must be a string',
+  boolean: value => typeof value === 'boolean' ? null : 'must be true or false',
+  nonNegativeNumber: value => typeof value === 'number' && value >= 0 ? null : 'must be a number >= 0',
+  positiveInteger: value => Number.isInteger(value) && value > 0 ? null : 'must be a whole number > 0',
+  positiveIntegerOrNull: value => value === null || (Number.isInteger(value) && value > 0) ? null : 'must be a whole number > 0, or null for no limit',
+  ratio: value => typeof value === 'number' && value >= 0 && value <= 1 ? null : 'must be a number between 0 and 1',
+  hexColor: value => typeof value === 'string' && /^#(?:[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) ? null : 'must be a hex color like #000000',
+  stringArray: value => Array.isArray(value) && value.every(item => typeof item === 'string') ? null : 'must be a list of strings',
+  oneOf: allowed => value => allowed.includes(value) ? null : `must be one of: ${allowed.join(', ')}`
+};
+
+const SITE_KEYS = ['id', 'label', 'baseUrl', 'siteUrl', 'tagFilter', 'excludedTags'];
+const TAG_FILTER_VALIDATORS = {
+  enabled: validators.boolean,
+  mode: validators.oneOf(['any', 'all']),
+  requiredTags: validators.stringArray
+};
+
+// Each site needs a unique slug id (used in project IDs and the display) and a listing URL
+function validateSites(sites) {
+  if (!Array.isArray(sites)) {
+    return 'must be a list of sites';
+  }
+
+  const ids = new Set();
+  for (const [index, site] of sites.entries()) {
+    const where = `site ${index + 1}`;
+    if (!isPlainObject(site)) {
+      return `${where} must be an object`;
+    }
+    const unknown = Object.keys(site).find(key => !SITE_KEYS.includes(key));
+    if (unknown) {
+      return `${where} has unknown option "${unknown}"`;
+    }
+    if (typeof site.id !== 'string' || !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(site.id)) {
+      return `${where} needs an id made of lowercase letters, digits and hyphens`;
+    }
+    if (ids.has(site.id)) {
+      return `site id "${site.id}" is used twice`;
+    }
+    ids.add(site.id);
+
+    const problem = (site.label !== undefined && validators.string(site.label))
+      || validators.url(site.baseUrl)
+      || (site.siteUrl !== undefined && validators.url(site.siteUrl))
+      || (site.excludedTags !== undefined && validators.stringArray(site.excludedTags));
+    if (problem) {
+      return `${where} ("${site.id}"): ${problem}`;
+    }
+
+    if (site.tagFilter !== undefined) {
+      if (!isPlainObject(site.tagFilter)) {
+        return `${where} ("${site.id}"): tagFilter must be an object`;
+      }
+      for (const [key, value] of Object.entries(site.tagFilter)) {
+        const error = TAG_FILTER_VALIDATORS[key] ? TAG_FILTER_VALIDATORS[key](value) : 'is not a tagFilter option';
+        if (error) {
+          return `${where} ("${site.id}"): tagFilter.${key} ${error}`;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+const OPTION_VALIDATORS = {
+  'baseUrl': validators.url,
+  'siteUrl': validators.url,
+  'publicUrl': validators.url,
+  'dataPath': validators.path,
+  'diagnosticsPath': validators.path,
+  'changesPath': validators.path,
+  'changesMarkdownPath': validators.path,
+  'reportPath': validators.path,
+  'tagsPath': validators.path,
+  'feedPath': validators.path,
+  'jsonFeedPath': validators.path,
+  'feeds.enabled': validators.boolean,
+  'feeds.title': validators.string,
+  'feeds.description': validators.string,
+  'feeds.author': validators.string,
+  'feeds.limit': validators.positiveInteger,
+  'taxonomyPath': validators.path,
+  'overridesPath': validators.path,
+  'pendingPath': validators.path,
+  'moderationPath': validators.path,
+  'moderation.enabled': validators.boolean,
+  'qrCodePath': validators.path,
+  'pagesPath': validators.path,
+  'pages.enabled': validators.boolean,
+  'pages.publicPath': value => typeof value === 'string' && /^(?:[\w.-]+\/)+$/.test(value) ? null : 'must be a relative path ending in /, e.g. projects/',
+  'qrCode.target': validators.oneOf(['post', 'page']),
+  'qrCode.format': validators.oneOf(['png', 'svg']),
+  'qrCode.embed': validators.oneOf(['file', 'inline']),
+  'qrCode.publicPath': validators.string,
+  'qrCode.width': validators.positiveInteger,
+  'qrCode.margin': value => Number.isInteger(value) && value >= 0 ? null : 'must be a whole number >= 0',
+  'qrCode.color.dark': validators.hexColor,
+  'qrCode.color.light': validators.hexColor,
+  'qrCode.errorCorrectionLevel': validators.oneOf(['L', 'M', 'Q', 'H']),
+  'qrCode.logo': validators.string,
+  'qrCode.logoScale': value => typeof value === 'number' && value > 0 && value <= 0.3 ? null : 'must be a number above 0 and at most 0.3',
+  'qrCode.queryParams': value => isPlainObject(value) && Object.values(value).every(item => typeof item === 'string')
+    ? null
+    : 'must be an object of query parameter names to string values',
+  'dryRun': validators.boolean,
+  'maxProjects': validators.positiveIntegerOrNull,
+  'delays.betweenPages': validators.nonNegativeNumber,
+  'concurrency.maxConcurrent': validators.positiveInteger,
+  'concurrency.requestsPerSecond': value => typeof value === 'number' && value > 0 ? null : 'must be a number > 0',
+  'concurrency.jitterMs': validators.nonNegativeNumber,
+  'retry.maxAttempts': validators.positiveInteger,
+  'retry.baseDelayMs': validators.nonNegativeNumber,
+  'retry.maxDelayMs': validators.nonNegativeNumber,
+  'tagFilter.enabled': validators.boolean,
+  'tagFilter.mode': validators.oneOf(['any', 'all']),
+  'tagFilter.requiredTags': validators.stringArray,
+  'excludedTags': validators.stringArray,
+  'sites': validateSites,
+  'authors.posterAccounts': validators.stringArray,
+  'media.enabled': validators.boolean,
+  'media.limit': value => Number.isInteger(value) && value >= 0 ? null : 'must be a whole number >= 0',
+  'media.fetchPosters': validators.boolean,
+  'media.oembed.vimeo': validators.url,
+  'content.excerptLength': value => Number.isInteger(value) && value >= 20 ? null : 'must be a whole number >= 20',
+  'content.wordsPerMinute': validators.positiveInteger,
+  'incremental.enabled': validators.boolean,
+  'safetyCheck.enabled': validators.boolean,
+  'safetyCheck.maxDropRatio': validators.ratio,
+  'safetyCheck.maxErrorRate': validators.ratio,
+  'source.type': validators.oneOf(['auto', 'wp-api', 'rss', 'sitemap', 'html']),
+  'source.sitemaps': validators.stringArray,
+  'source.perPage': value => Number.isInteger(value) && value >= 1 && value <= 100 ? null : 'must be a whole number from 1 to 100',
+  'logging.level': validators.oneOf(['debug', 'info', 'warn', 'error', 'silent']),
+  'logging.format': validators.oneOf(['text', 'json']),
+  'logging.file': validators.string,
+  'fetch.strategy': validators.oneOf(['auto', 'static', 'browser']),
+  'fetch.timeout': validators.positiveInteger,
+  'fetch.userAgent': validators.string,
+  'fetch.connectivityCheckUrl': value => value === '' || isHttpUrl(value) ? null : 'must be an http(s) URL, or empty to skip the check',
+  'images.mirror': validators.boolean,
+  'images.outputPath': validators.path,
+  'images.publicPath': validators.string,
+  'images.quality': value => Number.isInteger(value) && value >= 1 && value <= 100 ? null : 'must be a whole number from 1 to 100',
+  'images.galleryLimit': value => Number.isInteger(value) && value >= 0 ? null : 'must be a whole number >= 0',
+  'images.timeout': validators.positiveInteger,
+  'images.display.width': validators.positiveInteger,
+  'images.display.height': validators.positiveInteger,
+  'images.thumbnail.width': validators.positiveInteger,
+  'images.thumbnail.height': validators.positiveInteger,
+  'images.selection.minDimension': validators.nonNegativeNumber,
+  'images.selection.targetAspectRatio': value => typeof value === 'number' && value > 0 ? null : 'must be a number > 0'
+};
+
+// Options holding file system paths, resolved relative to the config file (or cwd for CLI flags)
+const PATH_OPTIONS = ['qrCode.logo', 'dataPath', 'diagnosticsPath', 'changesPath', 'changesMarkdownPath', 'reportPath', 'tagsPath', 'feedPath', 'jsonFeedPath', 'taxonomyPath', 'overridesPath', 'pendingPath', 'moderationPath', 'qrCodePath', 'pagesPath', 'logging.file', 'images.outputPath'];
+
+// Generated files written next to projects.json, which follow it when only dataPath is changed.
+// Hand-edited inputs (overrides, moderation decisions, pending approvals) keep their own paths,
+// so a scrape to a scratch location still honours the curated files in data/.
+const DATA_SIBLINGS = {
+  diagnosticsPath: 'scrape-diagnostics.json',
+  changesPath: 'changes.json',
+  changesMarkdownPath: 'changes.md',
+  reportPath: 'scrape-report.json',
+  tagsPath: 'tags.json',
+  feedPath: 'feed.xml',
+  jsonFeedPath: 'feed.json'
+};
+
+// Options whose defaults come from environment variables, validated when applyConfig() runs
+const ENV_OPTIONS = {
+  'logging.level': 'LOG_LEVEL',
+  'logging.format': 'LOG_FORMAT',
+  'fetch.strategy': 'FETCH_STRATEGY',
+  'source.type': 'SCRAPER_SOURCE'
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Flatten nested options to dotted keys: { delays: { betweenPages: 1 } } -> { 'delays.betweenPages': 1 }
+function flattenOptions(options, prefix = '') {
+  const flat = {};
+  for (const [key, value] of Object.entries(options)) {
+    const dottedKey = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && !OPTION_VALIDATORS[dottedKey]) {
+      Object.assign(flat, flattenOptions(value, dottedKey));
+    } else {
+      flat[dottedKey] = value;
+    }
+  }
+  return flat;
+}
+
+// Check config overrides, returning a list of human-readable problems
+export function validateConfig(options) {
+  const errors = [];
+  for (const [key, value] of Object.entries(flattenOptions(options))) {
+    const validator = OPTION_VALIDATORS[key];
+    if (!validator) {
+      errors.push(`Unknown config option "${key}"`);
+      continue;
+    }
+    const error = validator(value);
+    if (error) {
+      errors.push(`Invalid value for "${key}": ${JSON.stringify(value)} ${error}`);
+    }
+  }
+  return errors;
+}
+
+// Validate config overrides and merge them into CONFIG. Relative paths resolve against `baseDir`.
+export function applyConfig(options, { baseDir = process.cwd() } = {}) {
+  const errors = validateConfig(options);
+  const flat = flattenOptions(options);
+
+  // A value still taken from the environment gets the same check as one from a config file
+  for (const [dottedKey, envVar] of Object.entries(ENV_OPTIONS)) {
+    const value = process.env[envVar];
+    const current = dottedKey.split('.').reduce((object, key) => object[key], CONFIG);
+    if (flat[dottedKey] === undefined && value && current === value) {
+      const error = OPTION_VALIDATORS[dottedKey](value);
+      if (error) {
+        errors.push(`Invalid value for "${dottedKey}" (from ${envVar}): ${JSON.stringify(value)} ${error}`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid scraper configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  for (const key of PATH_OPTIONS) {
+    if (flat[key]) {
+      flat[key] = path.resolve(baseDir, flat[key]);
+    }
+  }
+
+  // Listing and pagination URLs are built by appending to baseUrl
+  if (flat.baseUrl && !flat.baseUrl.endsWith('/')) {
+    flat.baseUrl += '/';
+  }
+
+  // Feed and page links are built by appending to publicUrl
+  if (flat.publicUrl && !flat.publicUrl.endsWith('/')) {
+    flat.publicUrl += '/';
+  }
+
+  // A fork pointing at another site usually keeps WordPress one level above the listing page
+  if (flat.baseUrl && !flat.siteUrl) {
+    flat.siteUrl = new URL('../', flat.baseUrl).href;
+  }
+
+  if (flat.dataPath) {
+    for (const [key, fileName] of Object.entries(DATA_SIBLINGS)) {
+      if (flat[key] === undefined) {
+        flat[key] = path.join(path.dirname(flat.dataPath), fileName);
+      }
+    }
+  }
+
+  for (const [dottedKey, value] of Object.entries(flat)) {
+    const keys = dottedKey.split('.');
+    const target = keys.slice(0, -1).reduce((object, key) => object[key], CONFIG);
+    target[keys[keys.length - 1]] = value;
+  }
+
+  return CONFIG;
+}
+
+// Read a JSON or YAML config file
+export async function loadConfigFile(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+  }
+
+  try {
+    const options = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+    if (!isPlainObject(options)) {
+      throw new Error('expected an object of options at the top level');
+    }
+    return options;
+  } catch (error) {
+    throw new Error(`Could not parse config file ${filePath}: ${error.message}`);
+  }
+}
+
+export const USAGE = `Usage: node scraper.js [options]
+
+Options:
+  --config <file>          JSON or YAML config file (see README for the available options)
+  --base-url <url>         Projects listing page to scrape
+  --max-projects <n|all>   Limit the number of projects scraped
+  --require-tags <tags>    Comma-separated tags a project must have ("" disables tag filtering)
+  --tag-mode <any|all>     Require any or all of the required tags
+  --source <type>          auto, wp-api, rss, sitemap or html
+  --out <file>             Where to write projects.json (reports are written next to it)
+  --dry-run                Scrape and report, but don't write any files
+  --log-level <level>      debug, info, warn, error or silent
+  --log-format <format>    text or json (one JSON object per line)
+  --log-file <file>        Also append the log to this file, as JSON lines
+  -h, --help               Show this help
+
+Command-line flags override the config file, which overrides the defaults.`;
+
+// Parse command-line arguments into { help } or { configFile, overrides }. The config file
+// isn't read here: the caller loads configFile with loadConfigFile() and applies it before
+// the overrides, so flags win.
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: {
+        'config': { type: 'string' },
+        'base-url': { type: 'string' },
+        'max-projects': { type: 'string' },
+        'require-tags': { type: 'string' },
+        'tag-mode': { type: 'string' },
+        'source': { type: 'string' },
+        'out': { type: 'string' },
+        'dry-run': { type: 'boolean' },
+        'log-level': { type: 'string' },
+        'log-format': { type: 'string' },
+        'log-file': { type: 'string' },
+        'help': { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw new Error(`${error.message}\n\n${USAGE}`);
+  }
+
+  const { values } = parsed;
+  if (values.help) {
+    return { help: true };
+  }
+
+  const overrides = {};
+
+  if (values['base-url'] !== undefined) {
+    overrides.baseUrl = values['base-url'];
+  }
+
+  if (values['max-projects'] !== undefined) {
+    const raw = values['max-projects'];
+    // Leave invalid numbers as-is so validation reports them
+    overrides.maxProjects = raw === 'all' ? null : (/^\d+$/.test(raw) ? parseInt(raw, 10) : raw);
+  }
+
+  if (values['require-tags'] !== undefined) {
+    const tags = values['require-tags'].split(',').map(tag => tag.trim()).filter(Boolean);
+    overrides.tagFilter = tags.length > 0
+      ? { enabled: true, requiredTags: tags }
+      : { enabled: false };
+  }
+
+  if (values['tag-mode'] !== undefined) {
+    overrides.tagFilter = { ...overrides.tagFilter, mode: values['tag-mode'] };
+  }
+
+  if (values['source'] !== undefined) {
+    overrides.source = { type: values['source'] };
+  }
+
+  if (values['out'] !== undefined) {
+    overrides.dataPath = values['out'];
+  }
+
+  if (values['dry-run']) {
+    overrides.dryRun = true;
+  }
+
+  for (const key of ['level', 'format', 'file']) {
+    if (values[`log-${key}`] !== undefined) {
+      overrides.logging = { ...overrides.logging, [key]: values[`log-${key}`] };
+    }
+  }
+
+  return {
+    configFile: values.config ? path.resolve(values.config) : null,
+    overrides
+  };
+}
+
+// The sites to scrape, with defaults filled in. Without a sites list this is the single
+// site described by the top-level baseUrl, siteUrl, tagFilter and excludedTags.
+export function resolveSites() {
+  if (CONFIG.sites.length === 0) {
+    return [{
+      id: 'makerspace',
+      label: 'Makerspace',
+      baseUrl: CONFIG.baseUrl,
+      siteUrl: CONFIG.siteUrl,
+      tagFilter: CONFIG.tagFilter,
+      excludedTags: CONFIG.excludedTags,
+      prefixIds: false
+    }];
+  }
+
+  return CONFIG.sites.map((site, index) => {
+    const baseUrl = site.baseUrl.endsWith('/') ? site.baseUrl : `${site.baseUrl}/`;
+    return {
+      id: site.id,
+      label: site.label || site.id,
+      baseUrl,
+      siteUrl: site.siteUrl || new URL('../', baseUrl).href,
+      tagFilter: { ...CONFIG.tagFilter, ...site.tagFilter },
+      excludedTags: site.excludedTags || CONFIG.excludedTags,
+      // The first site keeps unprefixed IDs, so adding sites doesn't change existing project IDs
+      prefixIds: index > 0
+    };
+  });
+}
+
+export { CONFIG };
@@ -0,0 +1,184 @@
+import * as cheerio from 'cheerio';
+
+// Post bodies are reduced to a small, safe subset of HTML for projects.json:
+// paragraphs, lists and links, plus line breaks and emphasis inside them.
+// Everything else is unwrapped to its text, or dropped entirely if it never holds post text.
+
+const ALLOWED_TAGS = ['p', 'br', 'ul', 'ol', 'li', 'a', 'strong', 'em', 'b', 'i'];
+const DROPPED_TAGS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'video', 'audio',
+  'canvas', 'svg', 'img', 'picture', 'form', 'button', 'input', 'select', 'textarea', 'figcaption'
+];
+// Block elements that become paragraphs, so their text doesn't run into the next block
+const PARAGRAPH_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'dt', 'dd'];
+// Layout wrappers; their children are sanitized as blocks of their own
+const CONTAINER_TAGS = ['div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'figure', 'dl', 'table', 'tbody', 'thead', 'tr', 'td', 'th'];
+const BLOCK_TAGS = ['p', 'ul', 'ol', ...PARAGRAPH_TAGS];
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const escapeText = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+// Escape text for HTML content or a double-quoted attribute
+export const escapeHtml = text => escapeText(String(text ?? '')).replace(/"/g, '&quot;');
+
+// Site suffixes stripped from scraped page titles, as on the display (script.js)
+const TITLE_SUFFIXES = [' | Williams College: Makerspace & FabLab', ' | Williams College Makerspace'];
+
+export function cleanTitle(title) {
+  return TITLE_SUFFIXES.reduce((text, suffix) => text.replace(suffix, ''), title || '').trim();
+}
+
+// Absolute http(s) or mailto URL for a link, or null for anything else (javascript:, data:, ...)
+function safeLinkUrl(href, baseUrl) {
+  try {
+    const url = new URL(href, baseUrl);
+    return LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function sanitizeNodes(nodes, baseUrl) {
+  return nodes.map(node => sanitizeNode(node, baseUrl)).join('');
+}
+
+// Sanitize a run of nodes into a list of block elements, wrapping stray text and inline
+// elements between blocks (e.g. "Text<br>more" inside a <div>) in a paragraph
+function sanitizeBlocks(nodes, baseUrl) {
+  const blocks = [];
+  let inline = '';
+  const flush = () => {
+    const text = inline.replace(/^(?:\s|<br>)+|(?:\s|<br>)+$/g, '');
+    if (text) {
+      blocks.push(`<p>${text}</p>`);
+    }
+    inline = '';
+  };
+
+  for (const node of nodes) {
+    const name = node.type === 'tag' ? node.name.toLowerCase() : '';
+    if (CONTAINER_TAGS.includes(name)) {
+      flush();
+      blocks.push(...sanitizeBlocks(node.children || [], baseUrl));
+    } else if (BLOCK_TAGS.includes(name)) {
+      flush();
+      const block = sanitizeNode(node, baseUrl);
+      if (block) {
+        blocks.push(block);
+      }
+    } else {
+      inline += sanitizeNode(node, baseUrl);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+function sanitizeNode(node, baseUrl) {
+  if (node.type === 'text') {
+    return escapeText(node.data.replace(/\s+/g, ' '));
+  }
+  if (node.type !== 'tag') {
+    return ''; // Comments, CDATA, processing instructions
+  }
+
+  const name = node.name.toLowerCase();
+  if (DROPPED_TAGS.includes(name)) {
+    return '';
+  }
+
+  const inner = sanitizeNodes(node.children || [], baseUrl);
+  if (PARAGRAPH_TAGS.includes(name)) {
+    return inner.trim() ? `<p>${inner.trim()}</p>` : '';
+  }
+  if (!ALLOWED_TAGS.includes(name)) {
+    return inner;
+  }
+  if (name === 'br') {
+    return '<br>';
+  }
+  if (name === 'a') {
+    const href = safeLinkUrl(node.attribs?.href || '', baseUrl);
+    return href ? `<a href="${escapeHtml(href)}" rel="nofollow noopener">${inner}</a>` : inner;
+  }
+
+  // Empty paragraphs are usually what's left of an image
+  if (['p', 'li', 'ul', 'ol'].includes(name) && !inner.replace(/<br>/g, '').trim()) {
+    return '';
+  }
+  return `<${name}>${['p', 'li'].includes(name) ? inner.trim() : inner}</${name}>`;
+}
+
+// Sanitize the children of a post body element; relative links resolve against baseUrl
+export function sanitizeHtml(element, baseUrl) {
+  return sanitizeBlocks(element?.children || [], baseUrl)
+    .join('')
+    .replace(/\s*(<\/?(?:ul|ol|li)>)\s*/g, '$1');
+}
+
+// Plain text of sanitized HTML, one paragraph or list item per block, separated by blank lines
+export function htmlToParagraphs(html) {
+  const $ = cheerio.load(html || '', null, false);
+  $('br').replaceWith('\n');
+
+  const blocks = [];
+  $('p, li').each((i, element) => {
+    // List items holding paragraphs are covered by those paragraphs
+    if ($(element).children('p').length > 0) {
+      return;
+    }
+    const text = $(element).text().split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+    if (text) {
+      blocks.push(text);
+    }
+  });
+
+  // Text outside any block, e.g. a post body without <p> tags
+  if (blocks.length === 0) {
+    const text = $.root().text().replace(/\s+/g, ' ').trim();
+    return text ? [text] : [];
+  }
+  return blocks;
+}
+
+// Shorten text to at most maxLength characters at a word boundary, ending in an ellipsis
+export function truncateText(text, maxLength) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxLength) {
+    return clean;
+  }
+  const cut = clean.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.–—-]+$/, '')}…`;
+}
+
+// A short plain-text summary. An author-written excerpt wins; otherwise the opening paragraphs
+// of the body, skipping one-line captions and credits when there is anything longer.
+export function buildExcerpt(paragraphs, maxLength, explicitExcerpt = '') {
+  const explicit = explicitExcerpt
+    .replace(/\s*(?:\[(?:…|\.\.\.|&hellip;)\]|Continue reading.*|Read more.*)$/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (explicit) {
+    return truncateText(explicit, maxLength);
+  }
+
+  const substantial = paragraphs.filter(paragraph => countWords(paragraph) >= 5);
+  const source = substantial.length > 0 ? substantial : paragraphs;
+  let excerpt = '';
+  for (const paragraph of source) {
+    excerpt = excerpt ? `${excerpt} ${paragraph}` : paragraph;
+    if (excerpt.length >= maxLength) {
+      break;
+    }
+  }
+  return truncateText(excerpt, maxLength);
+}
+
+export function countWords(text) {
+  return (text.match(/[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu) || []).length;
+}
+
+// Whole minutes, at least one for any text at all
+export function readingTimeMinutes(wordCount, wordsPerMinute) {
+  return wordCount > 0 ? Math.max(1, Math.round(wordCount / wordsPerMinute)) : 0;
+}
@@ -0,0 +1,111 @@
+import { cleanTitle } from './content.js';
+
+// Atom and JSON Feed versions of the saved projects, so other pages can subscribe to new
+// makerspace projects. Both are built from the same list that goes into projects.json.
+
+const escapeXml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// The fields both feeds need, with URLs made absolute against the display's public URL
+function describeEntry(project, publicUrl) {
+  const images = project.images || {};
+  const localImage = images.mirrored?.main;
+  return {
+    id: project.url,
+    url: project.url,
+    title: cleanTitle(project.title),
+    summary: project.description || '',
+    contentHtml: project.contentHtml || '',
+    image: localImage ? new URL(localImage, publicUrl).href : images.main || '',
+    published: project.dateCreated || '',
+    updated: project.dateCreated || project.dateScraped || '',
+    authors: Array.isArray(project.authors) ? project.authors : [],
+    tags: project.tags || [],
+    videos: (project.media || []).filter(item => item.type === 'video')
+  };
+}
+
+// Newest entry date, or now for an empty feed
+function latestUpdate(entries) {
+  const times = entries.map(entry => Date.parse(entry.updated)).filter(time => !Number.isNaN(time));
+  return new Date(times.length > 0 ? Math.max(...times) : Date.now()).toISOString();
+}
+
+// Atom 1.0 (RFC 4287). feed: { title, description, author, homeUrl, atomUrl, publicUrl }
+export function buildAtomFeed(projects, feed) {
+  const entries = projects.map(project => describeEntry(project, feed.publicUrl));
+
+  const entryXml = entries.map(entry => {
+    const lines = [
+      `    <title>${escapeXml(entry.title)}</title>`,
+      `    <id>${escapeXml(entry.id)}</id>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>`,
+      entry.published && `    <published>${escapeXml(entry.published)}</published>`,
+      `    <updated>${escapeXml(entry.updated || latestUpdate(entries))}</updated>`,
+      ...entry.authors.map(name => `    <author><name>${escapeXml(name)}</name></author>`),
+      ...entry.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`),
+      entry.summary && `    <summary>${escapeXml(entry.summary)}</summary>`,
+      entry.contentHtml && `    <content type="html">${escapeXml(entry.contentHtml)}</content>`,
+      entry.image && `    <media:thumbnail url="${escapeXml(entry.image)}"/>`,
+      ...entry.videos.map(video => `    <link rel="enclosure" type="${escapeXml(video.mimeType)}" href="${escapeXml(video.url)}"/>`)
+    ];
+    return `  <entry>\n${lines.filter(Boolean).join('\n')}\n  </entry>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    feed.description && `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <id>${escapeXml(feed.atomUrl)}</id>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.atomUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+    `  <updated>${latestUpdate(entries)}</updated>`,
+    // Atom needs an author for entries that don't credit anyone
+    `  <author><name>${escapeXml(feed.author)}</name></author>`,
+    '  <generator>makerspace-project-display</generator>',
+    ...entryXml,
+    '</feed>'
+  ].filter(Boolean).join('\n') + '\n';
+}
+
+// JSON Feed 1.1 (https://jsonfeed.org/version/1.1). feed: { title, description, author, homeUrl, jsonUrl, publicUrl }
+export function buildJsonFeed(projects, feed) {
+  const items = projects.map(project => {
+    const entry = describeEntry(project, feed.publicUrl);
+    const item = {
+      id: entry.id,
+      url: entry.url,
+      title: entry.title
+    };
+    if (entry.contentHtml) item.content_html = entry.contentHtml;
+    if (entry.summary) item.summary = entry.summary;
+    if (entry.image) item.image = entry.image;
+    if (entry.published) item.date_published = entry.published;
+    if (entry.authors.length > 0) item.authors = entry.authors.map(name => ({ name }));
+    if (entry.tags.length > 0) item.tags = entry.tags;
+    if (entry.videos.length > 0) {
+      item.attachments = entry.videos.map(video => ({ url: video.url, mime_type: video.mimeType }));
+    }
+    // Every item needs content; a project without a body still has a link
+    if (!item.content_html) item.content_text = entry.summary || entry.url;
+    return item;
+  });
+
+  const data = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.jsonUrl,
+    authors: [{ name: feed.author }],
+    items
+  };
+  if (feed.description) {
+    data.description = feed.description;
+  }
+  return data;
+}
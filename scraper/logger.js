@@ -0,0 +1,75 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { CONFIG } from './config.js';
+
+// Scraper log output, set under CONFIG.logging. Every call takes a message and optional
+// fields, which are kept as separate keys in the JSON format:
+//
+//   log.info(`Fetched ${url}`, { event: 'fetch', url, durationMs });
+//
+// Common fields are event (what happened, e.g. 'fetch.retry'), url, page, durationMs and
+// error (an Error is logged as its message).
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+// Log file whose directory has been created, and one that could not be written (reported once)
+let preparedFile = null;
+let failedFile = null;
+
+// One log record: time, level and message first, then the fields without undefined values
+export function createRecord(level, msg, fields = {}) {
+  const record = { time: new Date().toISOString(), level, msg };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      record[key] = value instanceof Error ? value.message : value;
+    }
+  }
+  return record;
+}
+
+// A record as one line: '[INFO] <time> - <msg>' for text, or a JSON object
+export function formatRecord(record, format) {
+  return format === 'json'
+    ? JSON.stringify(record)
+    : `[${record.level.toUpperCase()}] ${record.time} - ${record.msg}`;
+}
+
+function appendToFile(file, record) {
+  try {
+    if (preparedFile !== file) {
+      fs.ensureDirSync(path.dirname(file));
+      preparedFile = file;
+    }
+    // Synchronous, so records stay in order and the last ones survive process.exit()
+    fs.appendFileSync(file, `${JSON.stringify(record)}\n`);
+  } catch (error) {
+    if (failedFile !== file) {
+      failedFile = file;
+      console.error(formatRecord(createRecord('error', `Could not write log file ${file}: ${error.message}`), CONFIG.logging.format));
+    }
+  }
+}
+
+function write(level, msg, fields) {
+  const { level: minLevel, format, file } = CONFIG.logging;
+  // applyConfig() rejects unknown levels; one set directly on CONFIG logs everything rather than nothing
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minLevel)) {
+    return;
+  }
+
+  const record = createRecord(level, msg, fields);
+  console[CONSOLE_METHODS[level]](formatRecord(record, format));
+  // The file always gets JSON lines, so runs can be compared whatever the console shows
+  if (file) {
+    appendToFile(file, record);
+  }
+}
+
+export const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
@@ -0,0 +1,103 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { parseArgs } from 'util';
+import { CONFIG, applyConfig, loadConfigFile } from './config.js';
+import { loadPending, loadDecisions, approveProject, rejectProject } from './moderation.js';
+import MakerspaceScraper from './scraper.js';
+
+export const USAGE = `Usage: node moderate.js [--config <file>] <command>
+
+Commands:
+  list            Show projects waiting for approval, and past decisions
+  approve <id>    Publish a pending project (or un-reject a rejected one)
+  reject <id>     Keep a project off the display, now and in future scrapes
+
+Options:
+  --config <file>   Same config file as the scraper, so the right data files are used
+  -h, --help        Show this help
+
+Decisions are saved to data/moderation.json; commit it along with data/projects.json.`;
+
+// Print pending projects and recorded decisions
+async function list() {
+  const pending = await loadPending();
+  const decisions = await loadDecisions();
+
+  if (pending.length === 0) {
+    console.log('No projects waiting for approval.');
+  } else {
+    console.log(`${pending.length} waiting for approval:`);
+    for (const project of pending) {
+      console.log(`  ${project.id}`);
+      console.log(`    ${project.title}`);
+      console.log(`    ${project.url}`);
+    }
+  }
+
+  const approved = Object.keys(decisions.approved).length;
+  const rejected = Object.keys(decisions.rejected);
+  console.log(`\n${approved} approved, ${rejected.length} rejected${rejected.length > 0 ? `: ${rejected.join(', ')}` : ''}`);
+}
+
+// Rebuild the project pages, feeds and tag index from projects.json after it was edited here,
+// so an approved project's page exists before its QR code is scanned (qrCode.target: page)
+async function refreshOutputs() {
+  const scraper = new MakerspaceScraper();
+  scraper.projects = (await fs.pathExists(CONFIG.dataPath)) ? (await fs.readJson(CONFIG.dataPath)).projects || [] : [];
+  await scraper.saveTagIndex();
+  await scraper.saveFeeds();
+  await scraper.saveProjectPages();
+}
+
+// Run one moderation command; returns the process exit code
+export async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'config': { type: 'string' },
+        'help': { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals: [command, id] } = parsed;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  try {
+    if (values.config) {
+      applyConfig(await loadConfigFile(values.config), { baseDir: path.dirname(values.config) });
+    }
+
+    if (command === 'list') {
+      await list();
+    } else if (command === 'approve' || command === 'reject') {
+      if (!id) {
+        throw new Error(`Missing project ID: node moderate.js ${command} <id>`);
+      }
+      const decision = command === 'approve' ? await approveProject(id) : await rejectProject(id);
+      await refreshOutputs();
+      console.log(`${command === 'approve' ? 'Approved' : 'Rejected'} ${id} (${decision.title})`);
+    } else {
+      console.error(`Unknown command "${command}"\n\n${USAGE}`);
+      return 2;
+    }
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  return 0;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exit(await main(process.argv.slice(2)));
+}
@@ -0,0 +1,156 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { CONFIG } from './config.js';
+import { validateProjectRecord } from './schema.js';
+
+// Moderation state lives in two files next to projects.json:
+// - pending.json holds full records of new projects waiting for a decision
+// - moderation.json records every decision, so approved and rejected projects stay that way
+
+const emptyDecisions = () => ({ approved: {}, rejected: {} });
+
+// Load recorded decisions: { approved: { id: { title, url, decidedAt } }, rejected: { ... } }
+export async function loadDecisions() {
+  if (!(await fs.pathExists(CONFIG.moderationPath))) {
+    return emptyDecisions();
+  }
+
+  try {
+    const decisions = await fs.readJson(CONFIG.moderationPath);
+    return { approved: decisions.approved || {}, rejected: decisions.rejected || {} };
+  } catch (error) {
+    throw new Error(`Invalid moderation file ${CONFIG.moderationPath}: ${error.message}`);
+  }
+}
+
+export async function saveDecisions(decisions) {
+  await fs.ensureDir(path.dirname(CONFIG.moderationPath));
+  await fs.writeJson(CONFIG.moderationPath, decisions, { spaces: 2 });
+}
+
+// Projects waiting for a decision, as saved by the last scrape
+export async function loadPending() {
+  if (!(await fs.pathExists(CONFIG.pendingPath))) {
+    return [];
+  }
+  const data = await fs.readJson(CONFIG.pendingPath);
+  return data.projects || [];
+}
+
+export async function savePending(projects) {
+  await fs.ensureDir(path.dirname(CONFIG.pendingPath));
+  await fs.writeJson(CONFIG.pendingPath, {
+    lastUpdated: new Date().toISOString(),
+    totalProjects: projects.length,
+    projects
+  }, { spaces: 2 });
+}
+
+// Split scraped projects into those that can go live and those that need a decision.
+// Rejected projects are always dropped. With holdNew (approval mode), only projects approved
+// before, or live in the previous projects.json (e.g. when approval mode is first turned on),
+// are published; new ones are held back.
+export function partitionForModeration(projects, decisions, previousData, { holdNew = true } = {}) {
+  const liveIds = new Set((previousData?.projects || []).map(project => project.id));
+  const result = { published: [], pending: [], rejected: [] };
+
+  for (const project of projects) {
+    if (decisions.rejected[project.id]) {
+      result.rejected.push(project);
+    } else if (!holdNew || decisions.approved[project.id] || liveIds.has(project.id)) {
+      result.published.push(project);
+    } else {
+      result.pending.push(project);
+    }
+  }
+
+  return result;
+}
+
+// projects.json as last saved, and a way to write back a changed project list
+async function readPublished() {
+  return (await fs.pathExists(CONFIG.dataPath)) ? fs.readJson(CONFIG.dataPath) : { projects: [] };
+}
+
+async function writePublished(data, projects) {
+  await fs.outputJson(CONFIG.dataPath, {
+    ...data,
+    lastUpdated: new Date().toISOString(),
+    totalProjects: projects.length,
+    projects
+  }, { spaces: 2 });
+}
+
+const summarize = project => ({ title: project.title, url: project.url, decidedAt: new Date().toISOString() });
+
+// Record every project published in approval mode as approved, so one missing from a single
+// run (a failed fetch, a tag that came and went) isn't held back again when it returns.
+// Returns the projects that weren't recorded before.
+export function recordPublished(decisions, projects) {
+  const added = projects.filter(project => !decisions.approved[project.id]);
+  for (const project of added) {
+    decisions.approved[project.id] = summarize(project);
+  }
+  return added;
+}
+
+// Approve a pending project: record the decision and publish it to projects.json straight away,
+// so the display doesn't have to wait for the next scrape. The pages, feeds and tag index built
+// from projects.json are regenerated by moderate.js (see refreshOutputs there).
+export async function approveProject(id) {
+  const pending = await loadPending();
+  const project = pending.find(item => item.id === id);
+  const decisions = await loadDecisions();
+
+  if (!project && !decisions.rejected[id]) {
+    throw new Error(`No pending project with ID "${id}"`);
+  }
+
+  const problems = project ? validateProjectRecord(project) : [];
+  if (problems.length > 0) {
+    throw new Error(`Pending project "${id}" is not a valid project record: ${problems.join('; ')}`);
+  }
+
+  decisions.approved[id] = project ? summarize(project) : { ...decisions.rejected[id], decidedAt: new Date().toISOString() };
+  delete decisions.rejected[id];
+  await saveDecisions(decisions);
+
+  if (project) {
+    await savePending(pending.filter(item => item.id !== id));
+
+    // Keep projects.json newest first, as the scraper saves it
+    const data = await readPublished();
+    const projects = [...(data.projects || []).filter(item => item.id !== id), project]
+      .sort((a, b) => (Date.parse(b.dateCreated) || 0) - (Date.parse(a.dateCreated) || 0));
+    await writePublished(data, projects);
+  }
+
+  return decisions.approved[id];
+}
+
+// Reject a project: record the decision and remove it from pending.json, or from
+// projects.json if it was already live. Future scrapes leave it out.
+export async function rejectProject(id) {
+  const pending = await loadPending();
+  const data = await readPublished();
+  const project = pending.find(item => item.id === id) || (data.projects || []).find(item => item.id === id);
+  const decisions = await loadDecisions();
+
+  if (!project && !decisions.approved[id]) {
+    throw new Error(`No pending or published project with ID "${id}"`);
+  }
+
+  decisions.rejected[id] = project ? summarize(project) : { ...decisions.approved[id], decidedAt: new Date().toISOString() };
+  delete decisions.approved[id];
+  await saveDecisions(decisions);
+
+  if (pending.some(item => item.id === id)) {
+    await savePending(pending.filter(item => item.id !== id));
+  }
+
+  if ((data.projects || []).some(item => item.id === id)) {
+    await writePublished(data, data.projects.filter(item => item.id !== id));
+  }
+
+  return decisions.rejected[id];
+}
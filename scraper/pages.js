@@ -0,0 +1,93 @@
+import { cleanTitle, escapeHtml } from './content.js';
+
+// Static detail pages, one per project at projects/<id>/index.html on the published display.
+// They're plain HTML with no scripts, so they load fast on a phone after scanning a QR code.
+
+const STYLES = `
+    body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; line-height: 1.5; color: #1a1a1a; background: #f5f3f8; }
+    main { max-width: 40rem; margin: 0 auto; padding: 1.25rem; }
+    h1 { font-size: 1.6rem; line-height: 1.2; margin: 0 0 0.5rem; }
+    .meta { color: #555; margin: 0 0 1rem; }
+    .tags { display: flex; flex-wrap: wrap; gap: 0.4rem; padding: 0; margin: 0 0 1rem; list-style: none; }
+    .tags li { background: #e6e0ef; border-radius: 12px; padding: 0.1rem 0.6rem; font-size: 0.85rem; }
+    img, video { display: block; max-width: 100%; height: auto; border-radius: 8px; }
+    .main-image { margin: 0 0 1rem; }
+    .gallery { display: grid; grid-template-columns: repeat(auto-fill, minmax(8rem, 1fr)); gap: 0.5rem; margin: 1rem 0; }
+    .original { display: inline-block; margin: 1rem 0; padding: 0.6rem 1rem; background: #500082; color: #fff; border-radius: 8px; text-decoration: none; font-weight: 600; }
+    a { color: #500082; }`;
+
+// "A", "A and B", or "A, B and C"
+function joinNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names.join('');
+}
+
+// Image and video paths in projects.json are relative to the site root; pages sit rootPath below it
+function siteUrl(value, rootPath) {
+  if (!value) return '';
+  return /^(?:https?:|data:)/i.test(value) ? value : `${rootPath}${value}`;
+}
+
+// Render one project's page. rootPath leads from the page back to the site root, e.g. '../../'.
+export function renderProjectPage(project, { siteTitle, rootPath }) {
+  const title = cleanTitle(project.title);
+  const images = project.images || {};
+  const mirrored = images.mirrored || {};
+  const authors = Array.isArray(project.authors) && project.authors.length > 0
+    ? project.authors
+    : (project.author ? [project.author] : []);
+  const published = project.dateCreated ? new Date(project.dateCreated) : null;
+  const hasDate = published && !Number.isNaN(published.getTime());
+
+  const meta = [
+    authors.length > 0 && `By ${escapeHtml(joinNames(authors))}`,
+    hasDate && `<time datetime="${escapeHtml(project.dateCreated)}">${published.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}</time>`
+  ].filter(Boolean).join(' · ');
+
+  const tags = (project.tags || []).map(tag => `<li>${escapeHtml(tag)}</li>`).join('');
+
+  // A video file plays in place of the main image; embedded players are linked instead
+  const video = (project.media || []).find(item => item.type === 'video');
+  const mainImage = siteUrl(mirrored.main || images.main, rootPath);
+  const poster = video ? siteUrl(video.mirroredPoster || video.poster, rootPath) || mainImage : '';
+  const hero = video
+    ? `<video class="main-image" controls muted playsinline preload="metadata"${poster ? ` poster="${escapeHtml(poster)}"` : ''}><source src="${escapeHtml(video.url)}"${video.mimeType ? ` type="${escapeHtml(video.mimeType)}"` : ''}></video>`
+    : mainImage ? `<img class="main-image" src="${escapeHtml(mainImage)}" alt="${escapeHtml(title)}">` : '';
+  const embeds = (project.media || [])
+    .filter(item => item.type === 'embed')
+    .map(item => `<li><a href="${escapeHtml(item.url)}">Watch the video${item.provider === 'youtube' ? ' on YouTube' : item.provider === 'vimeo' ? ' on Vimeo' : ''}</a></li>`)
+    .join('');
+
+  const gallery = (images.gallery || [])
+    .map((imageUrl, index) => siteUrl(mirrored.gallery?.[index] || imageUrl, rootPath))
+    .map(src => `<img src="${escapeHtml(src)}" alt="" loading="lazy">`)
+    .join('');
+
+  // contentHtml is already sanitized to paragraphs, lists and links
+  const body = project.contentHtml || (project.description ? `<p>${escapeHtml(project.description)}</p>` : '');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} | ${escapeHtml(siteTitle)}</title>
+  <meta name="description" content="${escapeHtml(project.description || '')}">
+  <link rel="canonical" href="${escapeHtml(project.url)}">
+  <style>${STYLES}
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title)}</h1>
+    ${meta ? `<p class="meta">${meta}</p>` : ''}
+    ${tags ? `<ul class="tags">${tags}</ul>` : ''}
+    ${hero}
+    ${body}
+    ${embeds ? `<ul class="videos">${embeds}</ul>` : ''}
+    ${gallery ? `<div class="gallery">${gallery}</div>` : ''}
+    <a class="original" href="${escapeHtml(project.url)}">Read the original post</a>
+  </main>
+</body>
+</html>
+`;
+}
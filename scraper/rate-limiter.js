@@ -0,0 +1,47 @@
+// Shared request pacing for the scraper: every request to the site, from any
+// worker, reserves the next free slot so the overall rate stays under the limit.
+// `now` and `sleep` default to the real clock; tests pass fakes to check the spacing.
+const sleepFor = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class RateLimiter {
+  constructor({ requestsPerSecond, jitterMs = 0, now = Date.now, sleep = sleepFor }) {
+    this.interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    this.jitterMs = jitterMs;
+    this.now = now;
+    this.sleep = sleep;
+    this.nextSlot = 0;
+  }
+
+  // Resolve when the caller may send its next request
+  async wait() {
+    const now = this.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.interval;
+
+    // Random jitter so requests don't arrive on an exact beat
+    const jitter = this.jitterMs > 0 ? Math.random() * this.jitterMs : 0;
+    const waitMs = slot - now + jitter;
+
+    if (waitMs > 0) {
+      await this.sleep(waitMs);
+    }
+  }
+}
+
+// Run `worker` over `items` with at most `limit` running at once.
+// Results keep the order of `items`, whatever order the workers finish in.
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
@@ -0,0 +1,35 @@
+import fs from 'fs-extra';
+import path from 'path';
+import Ajv from 'ajv/dist/2020.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// The published schema for projects.json, shared with the display (see script.js)
+export const SCHEMA_PATH = path.join(__dirname, '../data/projects.schema.json');
+
+const schema = fs.readJsonSync(SCHEMA_PATH);
+export const SCHEMA_VERSION = schema.properties.schemaVersion.const;
+
+const ajv = new Ajv({ allErrors: true });
+ajv.addSchema(schema);
+const validateDocument = ajv.getSchema(schema.$id);
+const validateProject = ajv.getSchema(`${schema.$id}#/$defs/project`);
+
+// Turn Ajv errors into short readable reasons, e.g. "/images/main must be string"
+const describeErrors = errors => (errors || []).map(error => {
+  const where = error.instancePath || '(record)';
+  const detail = error.keyword === 'required' ? `is missing "${error.params.missingProperty}"` : error.message;
+  return `${where} ${detail}`;
+});
+
+// Check one project record; returns a list of reasons, empty if it is valid
+export function validateProjectRecord(project) {
+  return validateProject(project) ? [] : describeErrors(validateProject.errors);
+}
+
+// Check a whole projects.json document; returns a list of reasons, empty if it is valid
+export function validateProjectsDocument(data) {
+  return validateDocument(data) ? [] : describeErrors(validateDocument.errors);
+}
@@ -1,63 +1,104 @@
-import puppeteer from 'puppeteer';
 import * as cheerio from 'cheerio';
 import QRCode from 'qrcode';
+import sharp from 'sharp';
 import fs from 'fs-extra';
+import axios from 'axios';
+import crypto from 'crypto';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-// Setup __dirname for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Configuration
-const CONFIG = {
-  baseUrl: 'https://sites.williams.edu/makerspace/projects/',
-  dataPath: path.join(__dirname, '../data/projects.json'),
-  qrCodePath: path.join(__dirname, '../assets/qr-codes/'),
-  isDevelopment: process.env.NODE_ENV === 'development',
-  isCI: process.env.CI === 'true', // GitHub Actions sets CI=true
-  maxProjects: process.env.NODE_ENV === 'development' ? 5 : null, // Limit for testing
-  delays: {
-    // Slower in CI to avoid rate limiting, faster for local development
-    betweenPages: process.env.CI === 'true' ? 3000 : 1000,
-    betweenProjects: process.env.CI === 'true' ? 2000 : 500
-  },
-    // Tag filtering configuration
-  tagFilter: {
-    enabled: true, // Temporarily disabled to debug CI issues
-    mode: 'any', // 'any' = at least one tag, 'all' = all tags required
-    requiredTags: ['makerspace'] // Tags that must be present
-  },
-  // Tags to exclude from being saved and displayed (case-insensitive)
-  excludedTags: ['makerspace', 'fablab', 'fab lab', 'williams', 'college']
+import { CONFIG, applyConfig, loadConfigFile, parseCliArgs, resolveSites, USAGE } from './config.js';
+import { RateLimiter, mapWithConcurrency } from './rate-limiter.js';
+import { SCHEMA_VERSION, validateProjectRecord, validateProjectsDocument } from './schema.js';
+import { TagTaxonomy, tagKey } from './taxonomy.js';
+import { loadDecisions, partitionForModeration, recordPublished, saveDecisions, savePending } from './moderation.js';
+import { sanitizeHtml, htmlToParagraphs, buildExcerpt, countWords, readingTimeMinutes, cleanTitle } from './content.js';
+import { buildAtomFeed, buildJsonFeed } from './feeds.js';
+import { renderProjectPage } from './pages.js';
+import { log } from './logger.js';
+
+// Create a fetch error carrying the HTTP status, a short reason and whether retrying might help
+const fetchError = (message, { status = null, reason, retryable }) =>
+  Object.assign(new Error(message), { status, reason, retryable });
+
+// The fetch error for an HTTP status that isn't a usable page, or null for one that is.
+// Used by the static and browser paths alike: a 404 is final, 429 and 5xx may clear up on retry.
+const httpStatusError = (url, status) => {
+  if (status === 404) {
+    return fetchError(`HTTP 404 for ${url}`, { status, reason: 'not-found', retryable: false });
+  }
+  if (status < 400) {
+    return null;
+  }
+  const retryable = status >= 500 || status === 429;
+  return fetchError(`HTTP ${status} for ${url}`, { status, reason: retryable ? 'server-error' : 'http-error', retryable });
 };
 
-// Logging utility
-const log = {
-  info: (msg) => console.log(`[INFO] ${new Date().toISOString()} - ${msg}`),
-  warn: (msg) => console.warn(`[WARN] ${new Date().toISOString()} - ${msg}`),
-  error: (msg) => console.error(`[ERROR] ${new Date().toISOString()} - ${msg}`),
-  debug: (msg) => CONFIG.isDevelopment && console.log(`[DEBUG] ${msg}`)
+// Resolve a URL found in a post against the page, or null if it's malformed (e.g. "http://[bad")
+const parseUrl = (value, baseUrl) => {
+  try {
+    return new URL(value, baseUrl);
+  } catch {
+    return null;
+  }
 };
 
+// Lowercase words that belong in a name ("Ana de la Cruz", "Lars van Dijk")
+const NAME_PARTICLES = ['al', 'bin', 'da', 'de', 'del', 'della', 'der', 'di', 'du', 'el', 'la', 'le', 'van', 'von', 'y'];
+
+// True for a JSON object (not an array or null)
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
 // Main scraper class
 class MakerspaceScraper {
-  constructor() {
+  // Options are validated and merged into the shared CONFIG (see config.js)
+  constructor(options = {}) {
+    if (Object.keys(options).length > 0) {
+      applyConfig(options);
+    }
+
     this.browser = null;
-    this.page = null;
+    this.browserReady = null;
+    // Pool of browser pages, one per concurrent worker, created on demand
+    this.idlePages = [];
+    this.pageCount = 0;
+    this.pageWaiters = [];
+    this.rateLimiter = new RateLimiter(CONFIG.concurrency);
+    this.taxonomy = TagTaxonomy.fromFile(CONFIG.taxonomyPath);
+    // Hand-curated edits from data/overrides.json, keyed by project ID (loaded in scrape())
+    this.overrides = {};
+    this.decisions = { approved: {}, rejected: {} };
     this.projects = [];
+    // New projects held back for approval (moderation.enabled)
+    this.pending = [];
+    // Scraped pages the tag filter dropped, remembered so unchanged ones aren't scraped again
+    this.filteredOut = [];
+    // Per-URL outcome for data/scrape-report.json
+    this.urlReport = new Map();
+    // Site being discovered (see discoverAllEntries); this.site falls back to the first configured site
+    this.currentSite = null;
     this.stats = {
       startTime: Date.now(),
       projectsFound: 0,
+      // Projects scraped or built from source data this run, as opposed to reused
+      projectsAttempted: 0,
       projectsScraped: 0,
+      projectsReused: 0,
       errors: 0
     };
   }
 
-    // Initialize browser for scraping
+  // The site whose baseUrl and siteUrl discovery works against. Resolved on each use, so
+  // config changed after construction still applies.
+  get site() {
+    return this.currentSite || resolveSites()[0];
+  }
+
+  // Initialize browser for scraping (only needed when static fetching fails)
   async initBrowser() {
     try {
       log.info('Initializing browser...');
+
+      // Imported lazily so static-only runs don't need Chromium installed
+      const { default: puppeteer } = await import('puppeteer');
       
       // Enhanced browser args for CI environments
       const browserArgs = [
@@ -78,7 +119,7 @@ class MakerspaceScraper {
         // Additional args to avoid Cloudflare detection
         '--disable-blink-features=AutomationControlled',
         '--disable-features=VizDisplayCompositor',
-        '--user-agent=Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+        `--user-agent=${CONFIG.fetch.userAgent}`
       ];
 
       // Additional args for CI environment
@@ -96,44 +137,361 @@ class MakerspaceScraper {
         timeout: 60000
       });
       
-      this.page = await this.browser.newPage();
-      
-      // Disable cache for fresh data on each run
-      await this.page.setCacheEnabled(false);
-      
-      // Set realistic headers to avoid bot detection
-      await this.page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+      const page = await this.createPage();
+      this.pageCount = 1;
       
-      await this.page.setExtraHTTPHeaders({
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'DNT': '1',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1',
+      log.info('Browser initialized successfully with cache disabled');
+
+      // Test connectivity first
+      if (CONFIG.fetch.connectivityCheckUrl) {
+        log.info(`Testing browser connectivity against ${CONFIG.fetch.connectivityCheckUrl}...`);
+        try {
+          await page.goto(CONFIG.fetch.connectivityCheckUrl, { 
+            waitUntil: 'networkidle0', 
+            timeout: 30000 
+          });
+          log.info('✓ Browser connectivity test successful');
+        } catch (error) {
+          log.error(`✗ Browser connectivity test failed: ${error.message}`);
+          throw new Error('Browser connectivity issues detected');
+        }
+      }
+
+      this.idlePages.push(page);
+    } catch (error) {
+      log.error(`Failed to initialize browser: ${error.message}`);
+      // A browser that launched but failed its checks would otherwise be left running
+      await this.browser?.close().catch(() => {});
+      this.browser = null;
+      throw error;
+    }
+  }
+
+  // Open a browser page set up to look like a regular visitor
+  async createPage() {
+    const page = await this.browser.newPage();
+    
+    // Disable cache for fresh data on each run
+    await page.setCacheEnabled(false);
+    
+    // Set realistic headers to avoid bot detection
+    await page.setUserAgent(CONFIG.fetch.userAgent);
+    
+    await page.setExtraHTTPHeaders({
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'DNT': '1',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1',
+    });
+
+    // Remove webdriver property
+    await page.evaluateOnNewDocument(() => {
+      Object.defineProperty(navigator, 'webdriver', {
+        get: () => undefined,
       });
+    });
+    
+    // Block unnecessary resources to speed up scraping
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+      if(req.resourceType() == 'stylesheet' || req.resourceType() == 'image'){
+        req.abort();
+      } else {
+        req.continue();
+      }
+    });
 
-      // Remove webdriver property
-      await this.page.evaluateOnNewDocument(() => {
-        Object.defineProperty(navigator, 'webdriver', {
-          get: () => undefined,
-        });
+    return page;
+  }
+
+  // Take a page from the pool, launching the browser or opening a page if needed
+  async acquirePage() {
+    if (!this.browserReady) {
+      // Forget a failed launch, so the next fetch tries again instead of failing for the rest of the run
+      this.browserReady = this.initBrowser().catch(error => {
+        this.browserReady = null;
+        throw error;
       });
+    }
+    await this.browserReady;
+
+    if (this.idlePages.length > 0) {
+      return this.idlePages.pop();
+    }
+
+    if (this.pageCount < CONFIG.concurrency.maxConcurrent) {
+      this.pageCount++;
+      try {
+        return await this.createPage();
+      } catch (error) {
+        // Give the slot back, or the pool shrinks with every failed page
+        this.pageCount--;
+        throw error;
+      }
+    }
+
+    return new Promise(resolve => this.pageWaiters.push(resolve));
+  }
+
+  // Hand a page to the next waiting worker, or back to the pool
+  releasePage(page) {
+    const waiter = this.pageWaiters.shift();
+    if (waiter) {
+      waiter(page);
+    } else {
+      this.idlePages.push(page);
+    }
+  }
+
+  // Check for a Cloudflare "just a moment" challenge instead of real content
+  isChallengePage($) {
+    const title = $('title').text().toLowerCase();
+    const h1Text = $('h1').first().text().trim();
+    return title.includes('just a moment') || h1Text.includes('sites.williams.edu');
+  }
+
+  // Check for a page that needs JavaScript to render its content
+  looksJsRendered($) {
+    const bodyText = $('body').text().replace(/\s+/g, ' ').trim();
+    return bodyText.length < 100 && $('script').length > 0;
+  }
+
+  // Fetch a page with a plain HTTP request
+  async fetchStatic(url, extraHeaders = {}) {
+    await this.rateLimiter.wait();
+    const response = await axios.get(url, {
+      timeout: CONFIG.fetch.timeout,
+      responseType: 'text',
+      validateStatus: () => true,
+      headers: {
+        'User-Agent': CONFIG.fetch.userAgent,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9',
+        ...extraHeaders
+      }
+    });
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      html: typeof response.data === 'string' ? response.data : ''
+    };
+  }
+
+  // Fetch a page with headless Chrome, waiting out Cloudflare challenges
+  async fetchWithBrowser(url, contentSelector) {
+    const page = await this.acquirePage();
+    try {
+      await this.rateLimiter.wait();
+      return await this.loadInBrowser(page, url, contentSelector);
+    } finally {
+      this.releasePage(page);
+    }
+  }
+
+  // Navigate a pool page to `url` and return its content
+  async loadInBrowser(page, url, contentSelector) {
+    const response = await page.goto(url, { 
+      waitUntil: 'networkidle2',
+      timeout: CONFIG.fetch.timeout
+    });
+
+    const status = response ? response.status() : 200;
+    const statusError = httpStatusError(url, status);
+    if (statusError?.reason === 'not-found') {
+      throw statusError;
+    }
+
+    // Wait for content to load with longer timeout in CI
+    const selectorTimeout = CONFIG.isCI ? 20000 : 10000;
+    await page.waitForSelector('body', { timeout: selectorTimeout });
+    
+    // Additional wait in CI to ensure content is fully loaded
+    if (CONFIG.isCI) {
+      log.info(`CI environment - adding extra 2s wait for ${url} to fully load...`);
+      await this.delay(2000);
+    }
+
+    let html = await page.content();
+    let $ = cheerio.load(html);
+    const wasChallenge = this.isChallengePage($);
+
+    if (wasChallenge) {
+      log.warn(`Cloudflare protection detected on: ${url}`);
+      log.warn(`Waiting 10 seconds and retrying...`);
       
-      // Block unnecessary resources to speed up scraping
-      await this.page.setRequestInterception(true);
-      this.page.on('request', (req) => {
-        if(req.resourceType() == 'stylesheet' || req.resourceType() == 'image'){
-          req.abort();
+      try {
+        // Wait for Cloudflare check to complete
+        await this.delay(10000);
+        
+        // Try to wait for the real content to load
+        await page.waitForSelector(contentSelector, { 
+          timeout: 30000 
+        }).catch(() => {
+          log.warn(`Still no content after Cloudflare wait on: ${url}`);
+        });
+        
+        // Re-get the content after waiting
+        html = await page.content();
+        $ = cheerio.load(html);
+        
+        if (!this.isChallengePage($)) {
+          log.info(`Cloudflare bypass successful for: ${url}`);
+        } else {
+          log.error(`Cloudflare bypass failed for: ${url} - still getting protection screen`);
+        }
+        
+      } catch (error) {
+        log.error(`Error during Cloudflare bypass on ${url}: ${error.message}`);
+      }
+
+      if (this.isChallengePage($)) {
+        throw fetchError(`Cloudflare challenge not resolved for ${url}`, { status, reason: 'challenge', retryable: true });
+      }
+    } else if (statusError) {
+      throw statusError;
+    }
+
+    return {
+      $,
+      html,
+      status,
+      headers: response ? response.headers() : {},
+      via: 'browser'
+    };
+  }
+
+  // Fetch a page, retrying timeouts, server errors and Cloudflare challenges with exponential backoff.
+  // Every attempt is recorded for the scrape report under `type` ('listing', 'project', ...).
+  async fetchPage(url, { contentSelector = 'body', type = 'page' } = {}) {
+    const { maxAttempts, baseDelayMs, maxDelayMs } = CONFIG.retry;
+    const record = this.recordUrl(url, type);
+
+    for (let attempt = 1; ; attempt++) {
+      record.attempts++;
+      const startTime = Date.now();
+      try {
+        const result = await this.fetchPageOnce(url, contentSelector);
+        Object.assign(record, { status: 'ok', httpStatus: result.status, via: result.via, reason: null, error: null });
+        log.debug(`Fetched ${url} (${result.via}, attempt ${attempt})`, {
+          event: 'fetch', url, type, attempt, via: result.via, httpStatus: result.status, durationMs: Date.now() - startTime
+        });
+        return result;
+      } catch (error) {
+        const { reason, retryable } = this.classifyFetchError(error);
+        Object.assign(record, {
+          status: reason === 'not-found' ? 'not-found' : 'failed',
+          httpStatus: error.status || null,
+          reason,
+          error: error.message
+        });
+        record.history.push({ attempt, reason, httpStatus: error.status || null, error: error.message });
+
+        if (!retryable || attempt >= maxAttempts) {
+          throw error;
+        }
+
+        const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+        log.warn(`Attempt ${attempt}/${maxAttempts} for ${url} failed (${reason}), retrying in ${delay}ms...`, {
+          event: 'fetch.retry', url, type, attempt, reason, httpStatus: error.status || undefined, error, durationMs: Date.now() - startTime
+        });
+        await this.delay(delay);
+      }
+    }
+  }
+
+  // Work out why a fetch failed and whether another attempt might succeed
+  classifyFetchError(error) {
+    if (error.reason) {
+      return { reason: error.reason, retryable: error.retryable };
+    }
+    if (error.name === 'TimeoutError' || ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code) || /timeout/i.test(error.message)) {
+      return { reason: 'timeout', retryable: true };
+    }
+    return { reason: 'network-error', retryable: true };
+  }
+
+  // Fetch a page once using the configured strategy: static HTTP first, browser as fallback
+  async fetchPageOnce(url, contentSelector) {
+    const strategy = CONFIG.fetch.strategy;
+
+    if (strategy !== 'browser') {
+      let staticError;
+      try {
+        const result = await this.fetchStatic(url);
+        const $ = cheerio.load(result.html);
+        const statusError = httpStatusError(url, result.status);
+
+        if (statusError?.reason === 'not-found') {
+          throw statusError;
+        }
+
+        if (this.isChallengePage($)) {
+          staticError = fetchError(`Cloudflare challenge for ${url}`, { status: result.status, reason: 'challenge', retryable: true });
+        } else if (statusError) {
+          staticError = statusError;
+        } else if (this.looksJsRendered($)) {
+          staticError = fetchError(`JS-rendered page at ${url}`, { status: result.status, reason: 'js-rendered', retryable: false });
         } else {
-          req.continue();
+          return { ...result, $, via: 'static' };
+        }
+        log.info(`Static fetch of ${url} failed: ${staticError.message}`);
+      } catch (error) {
+        if (error.reason === 'not-found') {
+          throw error;
         }
+        staticError = staticError || error;
+        log.info(`Static fetch of ${url} failed: ${error.message}`);
+      }
+
+      if (strategy === 'static') {
+        staticError.message += ' (browser fallback is disabled)';
+        throw staticError;
+      }
+      log.info(`Falling back to headless browser for ${url}`);
+    }
+
+    return this.fetchWithBrowser(url, contentSelector);
+  }
+
+  // Get or create the scrape report entry for a URL
+  recordUrl(url, type) {
+    if (!this.urlReport.has(url)) {
+      this.urlReport.set(url, {
+        url,
+        type,
+        status: 'pending',
+        attempts: 0,
+        httpStatus: null,
+        via: null,
+        reason: null,
+        error: null,
+        history: []
       });
-      
-      log.info('Browser initialized successfully with cache disabled');
+    }
+    return this.urlReport.get(url);
+  }
+
+  // Write data/scrape-report.json: every URL, the attempts made, final status and error reason
+  async saveScrapeReport() {
+    const urls = [...this.urlReport.values()];
+    const summary = {};
+    for (const record of urls) {
+      summary[record.status] = (summary[record.status] || 0) + 1;
+    }
+
+    try {
+      await fs.ensureDir(path.dirname(CONFIG.reportPath));
+      await fs.writeJson(CONFIG.reportPath, {
+        generatedAt: new Date().toISOString(),
+        summary,
+        urls
+      }, { spaces: 2 });
+      log.info(`Scrape report written to ${CONFIG.reportPath}`);
     } catch (error) {
-      log.error(`Failed to initialize browser: ${error.message}`);
-      throw error;
+      log.warn(`Failed to save scrape report: ${error.message}`);
     }
   }
 
@@ -149,37 +507,19 @@ class MakerspaceScraper {
       while (hasMorePages) {
         // Construct URL for current page
         const pageUrl = currentPage === 1 
-          ? CONFIG.baseUrl 
-          : `${CONFIG.baseUrl}page/${currentPage}/`;
+          ? this.site.baseUrl 
+          : `${this.site.baseUrl}page/${currentPage}/`;
         
-        log.info(`Scraping page ${currentPage}: ${pageUrl}`);
+        log.info(`Scraping page ${currentPage}: ${pageUrl}`, { event: 'listing.page', url: pageUrl, page: currentPage });
         
         try {
-          // Longer timeout and wait for CI environments
-          const timeout = process.env.CI === 'true' ? 60000 : 30000;
-          
-          log.info(`Navigating to page ${currentPage} with ${timeout}ms timeout...`);
-          await this.page.goto(pageUrl, { 
-            waitUntil: 'networkidle2',
-            timeout: timeout
+          const { $, html: content } = await this.fetchPage(pageUrl, {
+            contentSelector: '.fl-post-feed-post, article, .post',
+            type: 'listing'
           });
 
-          // Wait for content to load with longer timeout in CI
-          const selectorTimeout = process.env.CI === 'true' ? 20000 : 10000;
-          await this.page.waitForSelector('body', { timeout: selectorTimeout });
-          
-          // Additional wait in CI to ensure content is fully loaded
-          if (process.env.CI === 'true') {
-            log.info(`CI environment - adding extra 2s wait for page ${currentPage} to fully load...`);
-            await new Promise(resolve => setTimeout(resolve, 2000));
-          }
-
-          // Get page content
-          let content = await this.page.content();
-          let $ = cheerio.load(content);
-
           // Debug: Log page structure for CI debugging
-          if (process.env.CI === 'true') {
+          if (CONFIG.isCI) {
             const bodyClasses = $('body').attr('class') || 'no-body-classes';
             const titleElement = $('title').text() || 'no-title';
             const h1Text = $('h1').first().text().trim() || 'no-h1';
@@ -198,55 +538,19 @@ class MakerspaceScraper {
               'total-links': $('a').length
             };
             
-            log.info(`Page ${currentPage} debug - Elements found:`, JSON.stringify(wpElements));
+            log.info(`Page ${currentPage} debug - Elements found: ${JSON.stringify(wpElements)}`);
             
             // If it looks like an error page, log more details
             if (titleElement.toLowerCase().includes('error') || 
                 titleElement.toLowerCase().includes('not found') ||
-                titleElement.toLowerCase().includes('just a moment') ||
                 titleElement.toLowerCase().includes('checking') ||
                 h1Text.toLowerCase().includes('error') ||
                 h1Text.toLowerCase().includes('not found') ||
-                h1Text.includes('sites.williams.edu')) {
+                this.isChallengePage($)) {
               log.warn(`Page ${currentPage} appears to be an error/protection page!`);
               // Log first 500 chars of content for debugging
               const snippet = content.substring(0, 500).replace(/\s+/g, ' ').trim();
               log.warn(`Page ${currentPage} content snippet: ${snippet}...`);
-              
-              // If this looks like Cloudflare protection, wait longer and try to bypass
-              if (titleElement.toLowerCase().includes('just a moment') || 
-                  h1Text.includes('sites.williams.edu')) {
-                log.warn(`Cloudflare protection detected on page ${currentPage}! Waiting 10 seconds and retrying...`);
-                
-                try {
-                  // Wait for Cloudflare check to complete
-                  await new Promise(resolve => setTimeout(resolve, 10000));
-                  
-                  // Try to wait for the real content to load
-                  await this.page.waitForSelector('.fl-post-feed-post, article, .post', { 
-                    timeout: 30000 
-                  }).catch(() => {
-                    log.warn(`Still no content after Cloudflare wait on page ${currentPage}`);
-                  });
-                  
-                  // Re-get the content after waiting
-                  const newContent = await this.page.content();
-                  const new$ = cheerio.load(newContent);
-                  const newTitle = new$('title').text() || 'no-title-after-wait';
-                  
-                  if (!newTitle.toLowerCase().includes('just a moment')) {
-                    log.info(`Cloudflare bypass successful on page ${currentPage}! New title: ${newTitle}`);
-                    // Update our content variables
-                    content = newContent;
-                    $ = new$;
-                  } else {
-                    log.error(`Cloudflare bypass failed on page ${currentPage} - still getting protection screen`);
-                  }
-                  
-                } catch (error) {
-                  log.error(`Error during Cloudflare bypass on page ${currentPage}: ${error.message}`);
-                }
-              }
             }
           }
 
@@ -273,7 +577,7 @@ class MakerspaceScraper {
               const title = projectLink.text().trim() || $post.find('h2, h3, .fl-post-title').text().trim();
               
               if (href && href.includes('projects/')) {
-                const fullUrl = new URL(href, CONFIG.baseUrl).href;
+                const fullUrl = new URL(href, this.site.baseUrl).href;
                 
                 // Only add if not already found
                 if (!allProjectUrls.includes(fullUrl)) {
@@ -310,7 +614,7 @@ class MakerspaceScraper {
                 
                 // Be more strict about what constitutes a valid project link
                 if (href && text.length > 5 && href.includes('/projects/') && !href.includes('#')) {
-                  const fullUrl = new URL(href, CONFIG.baseUrl).href;
+                  const fullUrl = new URL(href, this.site.baseUrl).href;
                   if (!allProjectUrls.includes(fullUrl)) {
                     pageProjectUrls.push(fullUrl);
                     allProjectUrls.push(fullUrl);
@@ -385,32 +689,24 @@ class MakerspaceScraper {
           }
           
         } catch (pageError) {
-          if (pageError.message.includes('net::ERR_FAILED') || pageError.message.includes('404')) {
+          if (pageError.message.includes('net::ERR_FAILED') || pageError.status === 404) {
             log.info(`Page ${currentPage} not found (404), stopping pagination`);
             hasMorePages = false;
           } else {
-            log.warn(`Error loading page ${currentPage}: ${pageError.message}`);
+            // Retries are exhausted, so later pages are missing from this run
+            log.error(`Error loading page ${currentPage}, stopping pagination: ${pageError.message}`, {
+              event: 'listing.failed', url: pageUrl, page: currentPage, error: pageError
+            });
+            this.stats.errors++;
             hasMorePages = false;
           }
         }
       }
       
-      // Debug output
-      if (CONFIG.isDevelopment) {
-        log.debug(`Total pages scraped: ${currentPage}`);
-        log.debug(`Total unique projects found: ${allProjectUrls.length}`);
-      }
-
       this.stats.projectsFound = allProjectUrls.length;
       log.info(`Discovered ${allProjectUrls.length} total projects across ${currentPage} pages`);
 
-      // Limit for development/testing
-      if (CONFIG.maxProjects && allProjectUrls.length > CONFIG.maxProjects) {
-        log.info(`Limiting to ${CONFIG.maxProjects} projects for testing`);
-        return allProjectUrls.slice(0, CONFIG.maxProjects);
-      }
-
-      return allProjectUrls;
+      return this.applyProjectLimit(allProjectUrls);
 
     } catch (error) {
       log.error(`Failed to discover projects: ${error.message}`);
@@ -419,251 +715,1289 @@ class MakerspaceScraper {
     }
   }
 
-  // Scrape individual project details
-  async scrapeProject(url) {
-    try {
-      log.info(`Scraping project: ${url}`);
-      
-      await this.page.goto(url, { 
-        waitUntil: 'networkidle2',
-        timeout: 30000 
-      });
-
-      let content = await this.page.content();
-      let $ = cheerio.load(content);
-      
-      // Check for Cloudflare protection on individual project pages
-      const titleElement = $('title').text() || '';
-      const h1Text = $('h1').first().text().trim() || '';
-      
-      if (titleElement.toLowerCase().includes('just a moment') || 
-          h1Text.includes('sites.williams.edu')) {
-        log.warn(`Cloudflare protection detected on project page: ${url}`);
-        log.warn(`Waiting 10 seconds and retrying...`);
-        
-        try {
-          // Wait for Cloudflare check to complete
-          await new Promise(resolve => setTimeout(resolve, 10000));
-          
-          // Try to wait for the real content to load
-          await this.page.waitForSelector('.entry-content, .post-content, .content', { 
-            timeout: 30000 
-          }).catch(() => {
-            log.warn(`Still no content after Cloudflare wait on project: ${url}`);
-          });
-          
-          // Re-get the content after waiting
-          content = await this.page.content();
-          $ = cheerio.load(content);
-          const newTitle = $('title').text() || '';
-          
-          if (!newTitle.toLowerCase().includes('just a moment')) {
-            log.info(`Cloudflare bypass successful for project: ${url}`);
-          } else {
-            log.error(`Cloudflare bypass failed for project: ${url} - still getting protection screen`);
-          }
-          
-        } catch (error) {
-          log.error(`Error during Cloudflare bypass on project ${url}: ${error.message}`);
-        }
-      }
+  // Collect project entries from the configured source, falling back to the HTML crawler.
+  // Each entry has a `url`, plus a prebuilt `project` when the source provides full post data.
+  async discoverEntries() {
+    const adapters = {
+      'wp-api': () => this.discoverFromWpApi(),
+      'rss': () => this.discoverFromRss(),
+      'sitemap': () => this.discoverFromSitemap(),
+      'html': async () => (await this.discoverProjects()).map(url => ({ url }))
+    };
 
-      // TODO: Update these selectors based on actual site structure
-      const project = {
-        id: this.generateProjectId(url),
-        url: url,
-        title: '',
-        author: '',
-        description: '',
-        content: '',
-        tags: [],
-        images: {
-          main: '',
-          thumbnail: '',
-          gallery: []
-        },
-        dateCreated: '',
-        dateScraped: new Date().toISOString()
-      };
+    const order = CONFIG.source.type === 'auto'
+      ? ['wp-api', 'rss', 'sitemap', 'html']
+      : [CONFIG.source.type];
 
-      // Extract title
-      project.title = $('title').text().trim() || 
-                     $('h1').first().text().trim() || 
-                     $('.entry-title').text().trim() ||
-                     $('.post-title').text().trim() ||
-                     'Unknown Title';
-      
-      // Extract author
-      project.author = $('.author').text().trim() || 
-                      $('.post-author').text().trim() ||
-                      $('[class*="author"]').first().text().trim() ||
-                      $('.byline').text().trim() ||
-                      '';
-      
-      // Extract main image - prioritize content images over banners/headers
-      const imageSelectors = [
-        // Content area images first
-        '.entry-content img',
-        '.post-content img',
-        '.content img',
-        'article img',
-        '.fl-rich-text img',
-        // Featured images
-        '.featured-image img',
-        '.hero-image img', 
-        '.wp-post-image',
-        '[class*="featured"] img',
-        // Gallery images
-        '.gallery img',
-        '.wp-block-gallery img'
-      ];
-      
-      let foundMainImage = false;
-      
-      for (const selector of imageSelectors) {
-        if (foundMainImage) break;
-        
-        $(selector).each((i, el) => {
-          if (foundMainImage) return false;
-          
-          let imgSrc = $(el).attr('src') || $(el).attr('data-src');
-          if (imgSrc) {
-            const fullUrl = new URL(imgSrc, url).href;
-            
-            // Skip banners, headers, and very small images
-            const skipPatterns = [
-              'banner',
-              'header',
-              'logo',
-              'cropped-',
-              'favicon'
-            ];
-            
-            const shouldSkip = skipPatterns.some(pattern => 
-              fullUrl.toLowerCase().includes(pattern.toLowerCase())
-            );
-            
-            if (!shouldSkip) {
-              project.images.main = fullUrl;
-              foundMainImage = true;
-              return false;
-            }
-          }
-        });
-      }
-      
-      // Extract tags - look for actual tag elements and the tagged section at bottom
-      const tagSelectors = [
-        '.entry-footer .tags a',
-        '.post-tags a', 
-        '.tag-links a',
-        '[rel="tag"]',
-        '.tags a'
-      ];
-      
-      for (const selector of tagSelectors) {
-        $(selector).each((i, el) => {
-          const tagText = $(el).text().trim();
-          if (tagText && tagText.length > 0 && tagText.length < 50 && !project.tags.includes(tagText)) {
-            project.tags.push(tagText);
-          }
-        });
-      }
-      
-      // Also look for tags in "tagged" text at end of posts
-      const taggedText = $('*:contains("tagged")').text();
-      if (taggedText.includes('tagged')) {
-        const tagMatch = taggedText.match(/tagged\s+([^.]+)/i);
-        if (tagMatch) {
-          const tags = tagMatch[1].split(/[,\s]+by\s+/)[0].split(',');
-          tags.forEach(tag => {
-            const cleanTag = tag.trim();
-            if (cleanTag && cleanTag.length > 0 && cleanTag.length < 50 && !project.tags.includes(cleanTag)) {
-              project.tags.push(cleanTag);
-            }
-          });
-        }
+    for (const type of order) {
+      if (!adapters[type]) {
+        throw new Error(`Unknown source type "${type}" (expected auto, ${Object.keys(adapters).join(', ')})`);
       }
-      
-      // Extract description/excerpt
-      project.description = $('.excerpt').text().trim() || 
-                           $('.entry-summary').text().trim() ||
-                           $('.post-excerpt').text().trim() ||
-                           $('p').first().text().trim().substring(0, 200) ||
-                           '';
-      
-      // Extract content
-      project.content = $('.entry-content').text().trim() || 
-                       $('.post-content').text().trim() ||
-                       $('.content').text().trim() ||
-                       '';
-      
-      // Extract date
-      project.dateCreated = $('.date').text().trim() || 
-                           $('.post-date').text().trim() ||
-                           $('[class*="date"]').first().text().trim() ||
-                           '';
-      
-      log.debug(`Extracted data for: ${project.title}`);
-      log.debug(`Author: ${project.author}`);
-      log.debug(`Main image: ${project.images.main}`);
-      log.debug(`Tags found: ${project.tags.join(', ')}`);
 
-      // Generate QR code
-      project.qrCode = await this.generateQRCode(url, project.id);
-
-      // Validate project data
-      if (this.validateProject(project)) {
-        this.stats.projectsScraped++;
-        log.info(`Successfully scraped: ${project.title}`);
-        return project;
-      } else {
-        log.warn(`Invalid project data for: ${url}`);
-        this.stats.errors++;
-        return null;
+      const entries = await adapters[type]();
+      if (entries && entries.length > 0) {
+        log.info(`Using source "${type}": ${entries.length} projects`);
+        return entries;
       }
-
-    } catch (error) {
-      log.error(`Failed to scrape project ${url}: ${error.message}`);
-      this.stats.errors++;
-      return null;
+      log.warn(`Source "${type}" returned no projects`);
     }
+
+    return [];
   }
 
-  // Generate QR code for project URL
-  async generateQRCode(url, projectId) {
+  // Discover entries on every configured site in turn. Each entry remembers its site, which
+  // decides the project's ID, source and tag filter when it's processed.
+  async discoverAllEntries() {
+    const sites = resolveSites();
+    const entries = [];
+
     try {
-      const qrCodeDataURL = await QRCode.toDataURL(url, {
-        width: 200,
-        margin: 2,
-        color: {
-          dark: '#000000',
-          light: '#FFFFFF'
+      for (const site of sites) {
+        this.currentSite = site;
+        if (sites.length > 1) {
+          log.info(`Discovering projects on ${site.label} (${site.baseUrl})`);
         }
-      });
-
-      // Optionally save QR code as file
-      if (CONFIG.qrCodePath) {
-        await fs.ensureDir(CONFIG.qrCodePath);
-        const qrBuffer = Buffer.from(qrCodeDataURL.split(',')[1], 'base64');
-        await fs.writeFile(path.join(CONFIG.qrCodePath, `${projectId}.png`), qrBuffer);
+        const siteEntries = await this.discoverEntries();
+        entries.push(...siteEntries.map(entry => ({ ...entry, site })));
       }
+    } finally {
+      this.currentSite = null;
+    }
 
-      return qrCodeDataURL;
+    this.stats.projectsFound = entries.length;
+    return entries;
+  }
+
+  // Discover projects through the WordPress REST API, returning null if it's unavailable
+  async discoverFromWpApi() {
+    try {
+      log.info('Discovering projects from the WordPress REST API...');
+
+      const entries = [];
+      let page = 1;
+      let totalPages = 1;
+
+      do {
+        const apiUrl = `${this.site.siteUrl}wp-json/wp/v2/posts?_embed=1&per_page=${CONFIG.source.perPage}&page=${page}`;
+        const response = await this.fetchStatic(apiUrl, { 'Accept': 'application/json' });
+
+        if (response.status !== 200) {
+          log.warn(`WordPress REST API returned HTTP ${response.status} for ${apiUrl}`);
+          return null;
+        }
+
+        const posts = JSON.parse(response.html);
+        if (!Array.isArray(posts)) {
+          log.warn(`Unexpected WordPress REST API response for ${apiUrl}`);
+          return null;
+        }
+
+        totalPages = parseInt(response.headers['x-wp-totalpages'], 10) || 1;
+        log.info(`REST API page ${page}/${totalPages}: ${posts.length} posts`, { event: 'listing.page', url: apiUrl, page, items: posts.length });
+
+        for (const post of posts) {
+          if (post.link && this.isProjectUrl(post.link)) {
+            entries.push({ url: post.link, project: this.buildProjectFromWpPost(post) });
+          }
+        }
+
+        page++;
+        if (page <= totalPages) {
+          await this.delay(CONFIG.delays.betweenPages);
+        }
+      } while (page <= totalPages);
+
+      this.stats.projectsFound = entries.length;
+      log.info(`Discovered ${entries.length} projects from the REST API`);
+      return this.applyProjectLimit(entries);
+
+    } catch (error) {
+      log.warn(`WordPress REST API discovery failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  // True for an individual project post under the site's baseUrl, not the listing page or its
+  // pagination. Project IDs are the URL with baseUrl stripped (see generateProjectId).
+  isProjectUrl(url) {
+    return url.startsWith(this.site.baseUrl) &&
+      url !== this.site.baseUrl &&
+      !/\/page\/\d+\/?$/.test(url);
+  }
+
+  // Build a project record from a WordPress REST API post (requested with _embed)
+  buildProjectFromWpPost(post) {
+    const project = this.createProjectRecord(post.link);
+    const embedded = post._embedded || {};
+    const $content = this.loadPostContent(post.content?.rendered);
+
+    project.title = cleanTitle(this.htmlToText(post.title?.rendered)) || 'Unknown Title';
+    this.setProjectAuthors(project, this.extractAuthors($content, [embedded.author?.[0]?.name]));
+    this.setProjectBody(project, $content('.entry-content').get(0), this.htmlToText(post.excerpt?.rendered));
+    // date_gmt has no offset but is UTC; date is in the site's local time
+    project.dateCreated = this.normalizeDate(post.date_gmt ? `${post.date_gmt}Z` : post.date);
+
+    // Embedded terms are grouped by taxonomy; only post tags are project tags
+    for (const terms of embedded['wp:term'] || []) {
+      for (const term of terms) {
+        const tagText = this.htmlToText(term.name);
+        if (term.taxonomy === 'post_tag' && tagText && !project.tags.includes(tagText)) {
+          project.tags.push(tagText);
+        }
+      }
+    }
+
+    // The featured image was picked by the author, so it competes with a bonus
+    const featuredMedia = embedded['wp:featuredmedia']?.[0];
+    const candidates = this.findImageCandidates($content, post.link);
+    if (featuredMedia?.source_url) {
+      candidates.unshift({
+        url: featuredMedia.source_url,
+        width: featuredMedia.media_details?.width || 0,
+        height: featuredMedia.media_details?.height || 0,
+        position: 0,
+        selectorIndex: 0,
+        featured: true
+      });
+    }
+    this.setProjectImages(project, candidates);
+    project.media = this.findMedia($content, $content('.entry-content').get(0), post.link);
+
+    project.fetchMeta.lastModified = post.modified_gmt || '';
+    project.fetchMeta.contentHash = this.hashContent($content);
+
+    return project;
+  }
+
+  // Discover projects from the WordPress RSS feed, returning null if it's unavailable
+  async discoverFromRss() {
+    try {
+      log.info('Discovering projects from the RSS feed...');
+
+      const entries = [];
+      let page = 1;
+
+      // WordPress feeds are paged with ?paged=N and return 404 past the last page
+      while (true) {
+        const feedUrl = page === 1 ? `${this.site.siteUrl}feed/` : `${this.site.siteUrl}feed/?paged=${page}`;
+        const response = await this.fetchStatic(feedUrl, { 'Accept': 'application/rss+xml, application/xml' });
+
+        if (response.status === 404 && page > 1) {
+          break;
+        }
+        if (response.status !== 200) {
+          log.warn(`RSS feed returned HTTP ${response.status} for ${feedUrl}`);
+          return entries.length > 0 ? this.applyProjectLimit(entries) : null;
+        }
+
+        const $ = cheerio.load(response.html, { xml: true });
+        const items = $('item').toArray();
+        log.info(`RSS page ${page}: ${items.length} items`, { event: 'listing.page', url: feedUrl, page, items: items.length });
+        if (items.length === 0) {
+          break;
+        }
+
+        for (const item of items) {
+          const project = this.buildProjectFromRssItem($, item);
+          if (this.isProjectUrl(project.url) && !entries.some(entry => entry.url === project.url)) {
+            entries.push({ url: project.url, project });
+          }
+        }
+
+        page++;
+        await this.delay(CONFIG.delays.betweenPages);
+      }
+
+      this.stats.projectsFound = entries.length;
+      log.info(`Discovered ${entries.length} projects from the RSS feed`);
+      return this.applyProjectLimit(entries);
+
+    } catch (error) {
+      log.warn(`RSS feed discovery failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Build a project record from an RSS <item>
+  buildProjectFromRssItem($, item) {
+    const $item = $(item);
+    const url = $item.children('link').text().trim();
+    const project = this.createProjectRecord(url);
+    const contentHtml = $item.children('content\\:encoded').text() || $item.children('description').text();
+    const $content = this.loadPostContent(contentHtml);
+
+    project.title = cleanTitle($item.children('title').text()) || 'Unknown Title';
+    this.setProjectAuthors(project, this.extractAuthors($content, [$item.children('dc\\:creator').text()]));
+    this.setProjectBody(project, $content('.entry-content').get(0), this.htmlToText($item.children('description').text()));
+    project.dateCreated = this.normalizeDate($item.children('pubDate').text());
+    this.setProjectImages(project, this.findImageCandidates($content, url));
+    project.media = this.findMedia($content, $content('.entry-content').get(0), url);
+    project.fetchMeta.contentHash = this.hashContent($content);
+
+    // RSS lists categories and tags alike as <category>, with nothing to tell them apart, so both
+    // become tags here; the page scraper and REST API only take post tags
+    $item.children('category').each((i, el) => {
+      const tagText = $(el).text().trim();
+      if (tagText && tagText.length < 50 && !project.tags.includes(tagText)) {
+        project.tags.push(tagText);
+      }
+    });
+
+    return project;
+  }
+
+  // Discover project URLs and their lastmod dates from the XML sitemap, returning null if there isn't one
+  async discoverFromSitemap() {
+    for (const sitemapName of CONFIG.source.sitemaps) {
+      const sitemapUrl = new URL(sitemapName, this.site.siteUrl).href;
+
+      try {
+        log.info(`Discovering projects from sitemap: ${sitemapUrl}`);
+        const entries = [];
+        const found = await this.readSitemap(sitemapUrl, entries);
+
+        if (!found) {
+          continue;
+        }
+
+        this.stats.projectsFound = entries.length;
+        log.info(`Discovered ${entries.length} projects from ${sitemapUrl}`);
+        return this.applyProjectLimit(entries);
+
+      } catch (error) {
+        log.warn(`Sitemap discovery failed for ${sitemapUrl}: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  // Read a sitemap or sitemap index, adding project URLs to `entries`. Returns false if it doesn't exist.
+  async readSitemap(sitemapUrl, entries) {
+    const response = await this.fetchStatic(sitemapUrl, { 'Accept': 'application/xml, text/xml' });
+    if (response.status !== 200) {
+      log.debug(`Sitemap ${sitemapUrl} returned HTTP ${response.status}`);
+      return false;
+    }
+
+    const $ = cheerio.load(response.html, { xml: true });
+
+    // Sitemap index: follow child sitemaps, skipping ones that only list users or taxonomies
+    const childSitemaps = $('sitemapindex > sitemap > loc').map((i, el) => $(el).text().trim()).get();
+    for (const childUrl of childSitemaps) {
+      if (/(users|taxonomies|category|post_tag|author)/.test(childUrl)) {
+        log.debug(`Skipping non-post sitemap: ${childUrl}`);
+        continue;
+      }
+      await this.readSitemap(childUrl, entries);
+    }
+
+    $('urlset > url').each((i, el) => {
+      const loc = $(el).children('loc').text().trim();
+      const lastmod = $(el).children('lastmod').text().trim();
+
+      if (this.isProjectUrl(loc) && !entries.some(entry => entry.url === loc)) {
+        entries.push({ url: loc, lastmod });
+        log.debug(`Sitemap project: ${loc} (lastmod ${lastmod || 'unknown'})`);
+      }
+    });
+
+    return true;
+  }
+
+  // Fill the text fields from the post body element: a sanitized HTML copy, its plain text,
+  // an excerpt (explicitExcerpt if the post has one), word count and reading time
+  setProjectBody(project, body, explicitExcerpt = '') {
+    const html = body ? sanitizeHtml(body, project.url) : '';
+    const paragraphs = htmlToParagraphs(html);
+
+    project.contentHtml = html;
+    project.content = paragraphs.join('\n\n');
+    project.description = buildExcerpt(paragraphs, CONFIG.content.excerptLength, explicitExcerpt);
+    project.wordCount = countWords(project.content);
+    project.readingTimeMinutes = readingTimeMinutes(project.wordCount, CONFIG.content.wordsPerMinute);
+  }
+
+  // Wrap post HTML from the API or feed so the page selectors (.entry-content etc.) apply
+  loadPostContent(html) {
+    return cheerio.load(`<div class="entry-content">${html || ''}</div>`);
+  }
+
+  // Convert an HTML fragment (e.g. a rendered title with entities) to plain text
+  htmlToText(html) {
+    return cheerio.load(html || '').text().replace(/\s+/g, ' ').trim();
+  }
+
+  // Limit the number of projects for development/testing
+  applyProjectLimit(list) {
+    if (CONFIG.maxProjects && list.length > CONFIG.maxProjects) {
+      log.info(`Limiting to ${CONFIG.maxProjects} projects for testing`);
+      return list.slice(0, CONFIG.maxProjects);
+    }
+    return list;
+  }
+
+  // Scrape (or reuse) one discovered project and apply the tag filter.
+  // Returns { project, included }, or null if the project couldn't be scraped.
+  async processEntry(entry, index, total, previousByUrl) {
+    const { url, site = this.site } = entry;
+    log.info(`Processing project ${index + 1}/${total}`);
+    
+    // Sources with full post data (REST API, RSS) don't need a page visit
+    const previous = previousByUrl.get(url);
+    let project;
+    if (entry.project) {
+      this.recordUrl(url, 'project').status = 'from-source';
+      this.stats.projectsAttempted++;
+      project = await this.finalizeProject(entry.project);
+    } else if (previous?.filteredOut) {
+      // Filtered out last run: skip the page unless it changed or the filter now lets it through
+      if (!this.matchesTagFilter(previous, site) && !(await this.hasProjectChanged(previous, entry))) {
+        Object.assign(this.recordUrl(url, 'project'), { status: 'reused', included: false });
+        this.filteredOut.push(previous);
+        log.debug(`✗ Unchanged project filtered out last run, skipped: ${url}`);
+        return { project: previous, included: false };
+      }
+      project = await this.scrapeProject(url, site);
+    } else if (previous && !(await this.hasProjectChanged(previous, entry))) {
+      this.recordUrl(url, 'project').status = 'reused';
+      project = await this.reuseProject(previous);
+    } else {
+      project = await this.scrapeProject(url, site);
+    }
+
+    if (!project) {
+      return null;
+    }
+
+    // Projects saved before sites were configurable have no source
+    project.source = site.id;
+
+    if (entry.lastmod) {
+      project.fetchMeta.lastmod = entry.lastmod;
+    }
+    
+    const originalTags = Array.isArray(project.tags) ? [...project.tags] : [];
+
+    // Apply tag filtering against untouched tag list, then strip display-only tags
+    const included = this.matchesTagFilter({ ...project, tags: originalTags }, site);
+    this.recordUrl(url, 'project').included = included;
+
+    if (!included) {
+      log.debug(`✗ Project "${project.title}" filtered out (tags: ${project.tags?.join(', ') || 'none'})`);
+      // Pages without change detection data (REST API and RSS entries) are cheap to check again
+      if (project.fetchMeta?.contentHash) {
+        this.filteredOut.push({ url, source: site.id, tags: originalTags, fetchMeta: project.fetchMeta, filteredOut: true });
+      }
+      return { project, included: false };
+    }
+
+    // Now filter out excluded tags for display only
+    project.tags = this.filterTags(project.tags, site);
+    project.originalTags = originalTags;
+
+    // Staff edits go on before images are mirrored, so a swapped image is the one copied
+    this.applyOverrides(project);
+    if (project.hidden) {
+      log.info(`Hiding project "${project.title}" (hidden in overrides)`);
+      return { project, included: false, hidden: true };
+    }
+
+    await this.mirrorProjectImages(project);
+
+    log.debug(`✓ Project "${project.title}" matches tag filter`);
+    return { project, included: true };
+  }
+
+  // Scrape individual project details
+  async scrapeProject(url, site = this.site) {
+    const startTime = Date.now();
+    this.stats.projectsAttempted++;
+    try {
+      log.info(`Scraping project: ${url}`, { event: 'project.start', url });
+      
+      const { $, headers } = await this.fetchPage(url, {
+        contentSelector: '.entry-content, .post-content, .content',
+        type: 'project'
+      });
+
+      // TODO: Update these selectors based on actual site structure
+      const project = this.createProjectRecord(url, site);
+      // Used by incremental mode to detect unchanged pages on the next run
+      project.fetchMeta = {
+        etag: headers['etag'] || '',
+        lastModified: headers['last-modified'] || '',
+        contentHash: this.hashContent($)
+      };
+
+      // Extract title, without the site name the REST API and RSS feed leave out
+      project.title = cleanTitle($('title').text()) ||
+                     $('h1').first().text().trim() || 
+                     $('.entry-title').text().trim() ||
+                     $('.post-title').text().trim() ||
+                     'Unknown Title';
+      
+      // Extract makers
+      this.setProjectAuthors(project, this.extractAuthors($));
+      
+      // Extract main image and gallery
+      this.setProjectImages(project, this.findImageCandidates($, url));
+      
+      // Extract tags - look for actual tag elements and the tagged section at bottom
+      const tagSelectors = [
+        '.entry-footer .tags a',
+        '.post-tags a', 
+        '.tag-links a',
+        '[rel="tag"]',
+        '.tags a'
+      ];
+      
+      for (const selector of tagSelectors) {
+        $(selector).each((i, el) => {
+          const tagText = $(el).text().trim();
+          if (tagText && tagText.length > 0 && tagText.length < 50 && !project.tags.includes(tagText)) {
+            project.tags.push(tagText);
+          }
+        });
+      }
+      
+      // Also look for tags in "tagged" text at end of posts
+      const taggedText = $('*:contains("tagged")').text();
+      if (taggedText.includes('tagged')) {
+        const tagMatch = taggedText.match(/tagged\s+([^.]+)/i);
+        if (tagMatch) {
+          const tags = tagMatch[1].split(/[,\s]+by\s+/)[0].split(',');
+          tags.forEach(tag => {
+            const cleanTag = tag.trim();
+            if (cleanTag && cleanTag.length > 0 && cleanTag.length < 50 && !project.tags.includes(cleanTag)) {
+              project.tags.push(cleanTag);
+            }
+          });
+        }
+      }
+      
+      // Extract the post body and excerpt, preferring one the author wrote
+      const body = ['.entry-content', '.post-content', '.content'].map(selector => $(selector).get(0)).find(Boolean);
+      const excerpt = $('.excerpt').text() || $('.entry-summary').text() || $('.post-excerpt').text();
+      this.setProjectBody(project, body, excerpt);
+      project.media = this.findMedia($, body, url);
+      
+      project.dateCreated = this.extractPublishDate($);
+      
+      log.debug(`Extracted data for: ${project.title}`);
+      log.debug(`Author: ${project.author}`);
+      log.debug(`Main image: ${project.images.main}`);
+      log.debug(`Tags found: ${project.tags.join(', ')}`);
+
+      const finished = await this.finalizeProject(project);
+      if (finished) {
+        log.debug(`Scraped ${url} in ${Date.now() - startTime}ms`, { event: 'project.scraped', url, durationMs: Date.now() - startTime });
+      }
+      return finished;
+
+    } catch (error) {
+      log.error(`Failed to scrape project ${url}: ${error.message}`, { event: 'project.failed', url, error, durationMs: Date.now() - startTime });
+      this.stats.errors++;
+
+      // Fetch failures are already recorded; anything else broke while parsing the page
+      const record = this.recordUrl(url, 'project');
+      if (record.status === 'ok') {
+        Object.assign(record, { status: 'failed', reason: 'parse-error', error: error.message });
+      }
+      return null;
+    }
+  }
+
+  // Create an empty project record with the shape saved to projects.json
+  createProjectRecord(url, site = this.site) {
+    return {
+      id: this.generateProjectId(url, site),
+      url: url,
+      source: site.id, // Which configured site the project came from
+      title: '',
+      authors: [],
+      author: '', // authors as one string, for older readers of projects.json
+      description: '', // Plain-text excerpt
+      content: '', // Plain text, paragraphs separated by blank lines
+      contentHtml: '', // Sanitized body: paragraphs, lists and links only
+      wordCount: 0,
+      readingTimeMinutes: 0,
+      tags: [],
+      images: {
+        main: '',
+        thumbnail: '',
+        gallery: []
+      },
+      media: [], // Videos and embedded players, see findMedia()
+      dateCreated: '',
+      dateScraped: new Date().toISOString(),
+      fetchMeta: {
+        etag: '',
+        lastModified: '',
+        lastmod: '', // From the sitemap, when discovered that way
+        contentHash: ''
+      }
+    };
+  }
+
+  // Find the project's makers, most specific source first: a credits line in the post
+  // ("Makers: ...", "Made by X and Y"), author meta tags, JSON-LD, then the post byline.
+  // bylines are extra byline names, such as the REST API or RSS post author.
+  // WordPress poster accounts (authors.posterAccounts) are never treated as makers.
+  extractAuthors($, bylines = []) {
+    // Only labelled lines: a bare "By ..." is as likely to start a sentence ("By March, ...")
+    const creditLine = /^(?:(?:makers?|team|students?)\s*:|(?:made|built|created|designed|project) by\s*:?)\s*(.+)$/i;
+    const credits = [];
+    $('.entry-content p, .entry-content li, .post-content p').each((index, element) => {
+      // A credits line stands on its own; longer text is prose that happens to start with a label
+      const text = $(element).text().trim();
+      const match = text.length <= 150 && text.match(creditLine);
+      if (match) {
+        credits.push(match[1]);
+      }
+    });
+
+    const metaAuthors = [
+      $('meta[name="author"]').attr('content'),
+      $('meta[property="article:author"]').attr('content')
+    ].filter(value => value && !/^https?:\/\//.test(value));
+
+    const pageByline = [
+      $('.author').first().text(),
+      $('.post-author').first().text(),
+      $('[class*="author"]').first().text(),
+      $('.byline').first().text()
+    ].find(text => text.trim());
+    const byline = [pageByline, ...bylines].filter(Boolean);
+
+    const sources = [credits, metaAuthors, this.findJsonLdAuthors($), byline];
+    for (const source of sources) {
+      const names = source.flatMap(text => this.splitAuthorNames(text));
+      if (names.length > 0) {
+        return names.filter((name, index) => names.findIndex(other => other.toLowerCase() === name.toLowerCase()) === index);
+      }
+    }
+
+    return [];
+  }
+
+  // Author names from JSON-LD blocks, including Yoast-style @graph lists
+  findJsonLdAuthors($) {
+    return this.findJsonLdNodes($)
+      .filter(node => node['@type'] !== 'WebSite' && node.author)
+      .flatMap(node => [node.author].flat())
+      .map(author => typeof author === 'string' ? author : author?.name)
+      .filter(name => typeof name === 'string');
+  }
+
+  // Split a credits string like "By Jordan Lee ’25, Casey Morgan and Priya Shah" into names,
+  // dropping class years, poster accounts and fragments that read like a clause rather than
+  // a name ("Jordan finished the frame"): more than four words, or lowercase words other than
+  // name particles such as "van" or "de"
+  splitAuthorNames(text) {
+    const posterAccounts = CONFIG.authors.posterAccounts.map(account => account.toLowerCase());
+
+    return String(text)
+      .replace(/\s+/g, ' ')
+      .replace(/^\s*by:?\s+/i, '')
+      .split(/\s*(?:,|;|&|\+|\band\b)\s*/i)
+      .map(name => name
+        .replace(/\(?\s*(?:class of\s+)?['’‘]?\d{2,4}\s*\)?$/i, '') // Class years: ’25, '25, (2025)
+        .replace(/[.:]+$/, '')
+        .trim())
+      .filter(name => /^\p{Lu}/u.test(name) &&
+        name.split(' ').length <= 4 &&
+        name.split(' ').every(word => /^\p{Lu}/u.test(word) || NAME_PARTICLES.includes(word)) &&
+        !/\d/.test(name) &&
+        !posterAccounts.includes(name.toLowerCase()));
+  }
+
+  // Store the makers list, plus the joined string older readers of projects.json use
+  setProjectAuthors(project, authors) {
+    project.authors = authors;
+    project.author = authors.join(', ');
+  }
+
+  // Find the publish date, most reliable source first: <time datetime>, the Open Graph
+  // article:published_time meta tag, JSON-LD, then date-like text in the post meta.
+  // Returns an ISO 8601 string, or '' if none of them hold a usable date.
+  extractPublishDate($) {
+    const machineReadable = [
+      $('time.published[datetime], time.entry-date[datetime]').first().attr('datetime'),
+      $('article time[datetime]').first().attr('datetime'),
+      $('meta[property="article:published_time"]').attr('content'),
+      ...this.findJsonLdDates($),
+      $('time[datetime]').first().attr('datetime')
+    ];
+
+    for (const value of machineReadable) {
+      const date = this.normalizeDate(value);
+      if (date) return date;
+    }
+
+    const visibleText = [
+      $('.date').first().text(),
+      $('.post-date').first().text(),
+      $('[class*="date"]').first().text()
+    ];
+
+    for (const text of visibleText) {
+      const date = this.normalizeDate(text, { fromText: true });
+      if (date) return date;
+    }
+
+    return '';
+  }
+
+  // datePublished values from JSON-LD blocks
+  findJsonLdDates($) {
+    return this.findJsonLdNodes($)
+      .map(node => node.datePublished)
+      .filter(date => typeof date === 'string');
+  }
+
+  // Every object in the page's JSON-LD blocks, including Yoast-style @graph lists
+  findJsonLdNodes($) {
+    const nodes = [];
+
+    $('script[type="application/ld+json"]').each((index, element) => {
+      let data;
+      try {
+        data = JSON.parse($(element).text());
+      } catch {
+        return;
+      }
+
+      for (const node of [data].flat()) {
+        if (node && typeof node === 'object') {
+          nodes.push(node, ...[node['@graph'] || []].flat().filter(item => item && typeof item === 'object'));
+        }
+      }
+    });
+
+    return nodes;
+  }
+
+  // Parse a date into an ISO 8601 string, or '' if it isn't a plausible publish date.
+  // With fromText, a date is picked out of surrounding text ("Posted on March 4, 2025 by ...").
+  // Dates without a time are taken as midnight UTC so they don't shift with the runner's time zone.
+  normalizeDate(value, { fromText = false } = {}) {
+    let text = typeof value === 'string' ? value.trim() : '';
+
+    if (fromText) {
+      const match = text.match(/\d{4}-\d{2}-\d{2}(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?/) ||
+                    text.match(/\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{4}\b/i) ||
+                    text.match(/\b\d{1,2}(?:st|nd|rd|th)?\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?,?\s+\d{4}\b/i);
+      text = match ? match[0].replace(/(\d)(?:st|nd|rd|th)/i, '$1') : '';
+    }
+
+    if (!text) {
+      return '';
+    }
+
+    let date;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+      date = new Date(`${text}T00:00:00Z`);
+    } else {
+      date = new Date(text);
+      if (!Number.isNaN(date.getTime()) && !/\d:\d/.test(text)) {
+        date = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+      }
+    }
+
+    // Reject unparseable values and anything outside the site's plausible lifetime
+    const time = date.getTime();
+    if (Number.isNaN(time) || date.getUTCFullYear() < 1990 || time > Date.now() + 24 * 60 * 60 * 1000) {
+      return '';
+    }
+
+    return date.toISOString();
+  }
+
+  // Newest first; undated projects go last, keeping their discovery order
+  sortByPublishDate(projects) {
+    const timeOf = project => project.dateCreated ? Date.parse(project.dateCreated) || 0 : 0;
+    return [...projects].sort((a, b) => timeOf(b) - timeOf(a));
+  }
+
+  // Collect candidate images with whatever size information the markup provides
+  findImageCandidates($, pageUrl) {
+    const imageSelectors = [
+      // Content area images first
+      '.entry-content img',
+      '.post-content img',
+      '.content img',
+      'article img',
+      '.fl-rich-text img',
+      // Featured images
+      '.featured-image img',
+      '.hero-image img', 
+      '.wp-post-image',
+      '[class*="featured"] img',
+      // Gallery images
+      '.gallery img',
+      '.wp-block-gallery img'
+    ];
+
+    // Skip banners, headers, and very small images
+    const skipPatterns = [
+      'banner',
+      'header',
+      'logo',
+      'cropped-',
+      'favicon'
+    ];
+
+    const allImages = $('img').toArray();
+    const candidates = [];
+
+    imageSelectors.forEach((selector, selectorIndex) => {
+      $(selector).each((i, el) => {
+        const $img = $(el);
+        const src = $img.attr('src') || $img.attr('data-src');
+        const bestSource = this.parseSrcset($img.attr('srcset') || $img.attr('data-srcset'));
+        const imgSrc = bestSource?.url || src;
+        if (!imgSrc) return;
+
+        const fullUrl = parseUrl(imgSrc, pageUrl)?.href;
+        if (!fullUrl) return;
+        const shouldSkip = skipPatterns.some(pattern => 
+          fullUrl.toLowerCase().includes(pattern.toLowerCase())
+        );
+
+        // An image matching several selectors keeps its highest-priority one
+        if (shouldSkip || candidates.some(candidate => candidate.url === fullUrl)) return;
+
+        candidates.push({
+          url: fullUrl,
+          ...this.getImageDimensions($img, fullUrl, bestSource),
+          position: allImages.indexOf(el),
+          selectorIndex: selectorIndex / imageSelectors.length
+        });
+      });
+    });
+
+    // Normalize DOM position to 0 (first image on the page) .. 1 (last)
+    return candidates.map(candidate => ({
+      ...candidate,
+      position: allImages.length > 1 ? candidate.position / (allImages.length - 1) : 0
+    }));
+  }
+
+  // Pick the largest source from a srcset attribute
+  parseSrcset(srcset) {
+    if (!srcset) return null;
+
+    const sources = srcset.split(',')
+      .map(entry => {
+        const [url, descriptor = '1x'] = entry.trim().split(/\s+/);
+        const value = parseFloat(descriptor);
+        return {
+          url,
+          width: descriptor.endsWith('w') ? value : 0,
+          density: descriptor.endsWith('x') ? value : 0
+        };
+      })
+      .filter(source => source.url);
+
+    if (sources.length === 0) return null;
+    return sources.reduce((best, source) =>
+      (source.width || source.density) > (best.width || best.density) ? source : best
+    );
+  }
+
+  // Work out an image's size from WordPress attributes, srcset, width/height or the file name
+  getImageDimensions($img, imageUrl, bestSource) {
+    const attrWidth = parseInt($img.attr('width'), 10) || 0;
+    const attrHeight = parseInt($img.attr('height'), 10) || 0;
+
+    // WordPress/Jetpack record the original upload size
+    const origSize = ($img.attr('data-orig-size') || '').split(',').map(value => parseInt(value, 10));
+    if (origSize[0] > 0 && origSize[1] > 0) {
+      return { width: origSize[0], height: origSize[1] };
+    }
+
+    // The srcset width plus the aspect ratio from the attributes
+    if (bestSource?.width && attrWidth && attrHeight) {
+      return { width: bestSource.width, height: Math.round(bestSource.width * attrHeight / attrWidth) };
+    }
+
+    if (attrWidth && attrHeight) {
+      return { width: attrWidth, height: attrHeight };
+    }
+
+    // WordPress resized uploads are named like photo-1024x768.jpg
+    const sizeMatch = imageUrl.match(/-(\d+)x(\d+)\.(?:jpe?g|png|gif|webp)(?:\?|$)/i);
+    if (sizeMatch) {
+      return { width: parseInt(sizeMatch[1], 10), height: parseInt(sizeMatch[2], 10) };
+    }
+
+    return { width: 0, height: 0 };
+  }
+
+  // Score a candidate image; negative scores are icons and never used
+  scoreImage(candidate) {
+    const { display, selection } = CONFIG.images;
+    let score = 0;
+
+    if (candidate.width && candidate.height) {
+      if (Math.min(candidate.width, candidate.height) < selection.minDimension) {
+        return -1;
+      }
+
+      // Bigger is better, up to the size we display at
+      score += 40 * Math.min(1, (candidate.width * candidate.height) / (display.width * display.height));
+
+      // Closer to the card's aspect ratio is better; 3x wider or taller than it scores nothing
+      const ratioDistance = Math.abs(Math.log((candidate.width / candidate.height) / selection.targetAspectRatio));
+      score += 30 * Math.max(0, 1 - ratioDistance / Math.log(3));
+    } else {
+      // Unknown size: assume an average image
+      score += 35;
+    }
+
+    // Earlier in the post and from a higher-priority selector is better
+    score += 20 * (1 - (candidate.position || 0));
+    score += 10 * (1 - (candidate.selectorIndex || 0));
+
+    if (candidate.featured) {
+      score += 30;
+    }
+
+    return score;
+  }
+
+  // Use the highest-scoring image as the main image and the runners-up as the gallery
+  setProjectImages(project, candidates) {
+    const ranked = candidates
+      .map(candidate => ({ ...candidate, score: this.scoreImage(candidate) }))
+      .filter(candidate => candidate.score >= 0)
+      .sort((a, b) => b.score - a.score)
+      .filter((candidate, index, list) => list.findIndex(other => other.url === candidate.url) === index);
+
+    log.debug(`Image candidates: ${ranked.map(candidate => `${candidate.url} (${candidate.score.toFixed(1)})`).join(', ') || 'none'}`);
+
+    project.images.main = ranked[0]?.url || '';
+    project.images.gallery = ranked.slice(1, CONFIG.images.galleryLimit + 1).map(candidate => candidate.url);
+  }
+
+  // Find videos in the post body: <video> files, player iframes and oEmbed links (a YouTube
+  // or Vimeo URL on its own, which WordPress turns into a player when the page is viewed).
+  // Each item is { type: 'video' | 'embed', provider, url, embedUrl, mimeType, poster }.
+  findMedia($, body, pageUrl) {
+    if (!body || !CONFIG.media.enabled) {
+      return [];
+    }
+
+    const $body = $(body);
+    const media = [];
+    const add = item => {
+      if (item && !media.some(other => other.url === item.url)) {
+        media.push(item);
+      }
+    };
+
+    $body.find('video').each((i, el) => {
+      const $video = $(el);
+      const sources = [
+        { src: $video.attr('src'), type: $video.attr('type') },
+        ...$video.find('source').toArray().map(source => ({ src: $(source).attr('src'), type: $(source).attr('type') }))
+      ].filter(source => source.src);
+      // Prefer formats every browser plays
+      const source = sources.find(item => /mp4|webm/i.test(item.type || item.src)) || sources[0];
+      // A malformed src or poster skips this video (or its poster), not the whole post
+      const url = source && parseUrl(source.src, pageUrl);
+      if (!url || !['http:', 'https:'].includes(url.protocol)) return;
+      const poster = $video.attr('poster') ? parseUrl($video.attr('poster'), pageUrl) : null;
+
+      add({
+        type: 'video',
+        provider: 'file',
+        url: url.href,
+        embedUrl: '',
+        mimeType: source.type || (/\.webm(?:\?|$)/i.test(source.src) ? 'video/webm' : 'video/mp4'),
+        poster: poster && ['http:', 'https:'].includes(poster.protocol) ? poster.href : ''
+      });
+    });
+
+    $body.find('iframe').each((i, el) => {
+      add(this.describeEmbed($(el).attr('src') || $(el).attr('data-src'), pageUrl));
+    });
+
+    // Embed blocks WordPress didn't render, or a paragraph holding nothing but a video link
+    $body.find('.wp-block-embed__wrapper, p').each((i, el) => {
+      const text = $(el).text().trim();
+      if (/^https?:\/\/\S+$/.test(text)) {
+        add(this.describeEmbed(text, pageUrl, { knownProvidersOnly: true }));
+      }
+    });
+
+    return media.slice(0, CONFIG.media.limit);
+  }
+
+  // Describe a player iframe or video link. YouTube and Vimeo links are normalized to the
+  // video's page; YouTube posters are predictable, Vimeo's come from oEmbed (resolveMediaPosters).
+  describeEmbed(src, pageUrl, { knownProvidersOnly = false } = {}) {
+    const url = parseUrl(src, pageUrl);
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      return null;
+    }
+
+    const host = url.hostname.replace(/^(?:www|m)\./, '');
+    const youtubeId = host === 'youtu.be'
+      ? url.pathname.slice(1)
+      : ['youtube.com', 'youtube-nocookie.com'].includes(host)
+        ? url.searchParams.get('v') || url.pathname.match(/^\/(?:embed|shorts|live)\/([^/]+)/)?.[1]
+        : null;
+    if (youtubeId && /^[\w-]{6,}$/.test(youtubeId)) {
+      return {
+        type: 'embed',
+        provider: 'youtube',
+        url: `https://www.youtube.com/watch?v=${youtubeId}`,
+        embedUrl: `https://www.youtube-nocookie.com/embed/${youtubeId}`,
+        mimeType: '',
+        poster: `https://i.ytimg.com/vi/${youtubeId}/hqdefault.jpg`
+      };
+    }
+
+    const vimeoId = ['vimeo.com', 'player.vimeo.com'].includes(host)
+      ? url.pathname.match(/^\/(?:video\/)?(\d+)/)?.[1]
+      : null;
+    if (vimeoId) {
+      return {
+        type: 'embed',
+        provider: 'vimeo',
+        url: `https://vimeo.com/${vimeoId}`,
+        embedUrl: `https://player.vimeo.com/video/${vimeoId}`,
+        mimeType: '',
+        poster: ''
+      };
+    }
+
+    if (knownProvidersOnly) {
+      return null;
+    }
+    return { type: 'embed', provider: host, url: url.href, embedUrl: url.href, mimeType: '', poster: '' };
+  }
+
+  // Fill in missing posters from the provider's oEmbed endpoint (media.oembed). A poster that
+  // can't be fetched is left empty; the display then uses the project image.
+  async resolveMediaPosters(project) {
+    for (const item of project.media || []) {
+      const endpoint = CONFIG.media.oembed[item.provider];
+      if (item.poster || !endpoint || !CONFIG.media.fetchPosters) continue;
+
+      try {
+        await this.rateLimiter.wait();
+        const response = await axios.get(endpoint, {
+          params: { url: item.url },
+          timeout: CONFIG.fetch.timeout,
+          headers: { 'User-Agent': CONFIG.fetch.userAgent }
+        });
+        item.poster = typeof response.data?.thumbnail_url === 'string' ? response.data.thumbnail_url : '';
+      } catch (error) {
+        log.warn(`Failed to fetch ${item.provider} poster for ${item.url}: ${error.message}`);
+      }
+    }
+  }
+
+  // Download an image and save display-sized and thumbnail WebP copies, returning their public paths
+  async mirrorImage(sourceUrl, projectId) {
+    // Name files after the source URL so unchanged images aren't downloaded again
+    const hash = crypto.createHash('sha1').update(sourceUrl).digest('hex').substring(0, 12);
+    const projectDir = path.join(CONFIG.images.outputPath, projectId);
+    const displayFile = `${hash}.webp`;
+    const thumbnailFile = `${hash}-thumb.webp`;
+    const publicDir = `${CONFIG.images.publicPath}${projectId}/`;
+    const result = {
+      display: publicDir + displayFile,
+      thumbnail: publicDir + thumbnailFile
+    };
+
+    if (await fs.pathExists(path.join(projectDir, displayFile)) &&
+        await fs.pathExists(path.join(projectDir, thumbnailFile))) {
+      log.debug(`Image already mirrored: ${sourceUrl}`);
+      return result;
+    }
+
+    try {
+      await this.rateLimiter.wait();
+      const response = await axios.get(sourceUrl, {
+        responseType: 'arraybuffer',
+        timeout: CONFIG.images.timeout,
+        headers: { 'User-Agent': CONFIG.fetch.userAgent }
+      });
+      const buffer = Buffer.from(response.data);
+
+      await fs.ensureDir(projectDir);
+      const { display, thumbnail, quality } = CONFIG.images;
+
+      // rotate() applies the EXIF orientation from phone photos before resizing
+      await sharp(buffer)
+        .rotate()
+        .resize({ width: display.width, height: display.height, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality })
+        .toFile(path.join(projectDir, displayFile));
+
+      await sharp(buffer)
+        .rotate()
+        .resize({ width: thumbnail.width, height: thumbnail.height, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality })
+        .toFile(path.join(projectDir, thumbnailFile));
+
+      log.debug(`Mirrored image: ${sourceUrl} -> ${result.display}`);
+      return result;
+    } catch (error) {
+      log.warn(`Failed to mirror image ${sourceUrl}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Mirror a project's main and gallery images, recording the local paths
+  async mirrorProjectImages(project) {
+    if (!CONFIG.images.mirror || CONFIG.dryRun) {
+      return;
+    }
+
+    project.images.thumbnail = '';
+    project.images.mirrored = { main: '', gallery: [] };
+
+    if (project.images.main) {
+      const mirrored = await this.mirrorImage(project.images.main, project.id);
+      if (mirrored) {
+        project.images.mirrored.main = mirrored.display;
+        project.images.thumbnail = mirrored.thumbnail;
+      }
+    }
+
+    // One entry per gallery image, empty where the download failed, so indexes match images.gallery
+    for (const imageUrl of project.images.gallery || []) {
+      const mirrored = await this.mirrorImage(imageUrl, project.id);
+      project.images.mirrored.gallery.push(mirrored?.display || '');
+    }
+
+    // Video posters stand in for the main image, so they're kept locally too
+    for (const item of project.media || []) {
+      item.mirroredPoster = '';
+      if (item.poster) {
+        const mirrored = await this.mirrorImage(item.poster, project.id);
+        item.mirroredPoster = mirrored?.display || '';
+      }
+    }
+  }
+
+  // Generate the QR code and validate a fully extracted project
+  async finalizeProject(project) {
+    await this.resolveMediaPosters(project);
+
+    // Generate QR code
+    project.qrCode = await this.generateQRCode(project.url, project.id);
+
+    // Validate project data
+    if (this.validateProject(project)) {
+      this.stats.projectsScraped++;
+      log.info(`Successfully scraped: ${project.title}`);
+      return project;
+    } else {
+      log.warn(`Invalid project data for: ${project.url}`, { event: 'project.invalid', url: project.url });
+      this.stats.errors++;
+      Object.assign(this.recordUrl(project.url, 'project'), { status: 'invalid', reason: 'missing-fields' });
+      return null;
+    }
+  }
+
+  // Generate the QR code for a project URL as configured in CONFIG.qrCode and save it to qrCodePath.
+  // Returns the public file path, or a data URL with embed: 'inline'; null if generation failed.
+  async generateQRCode(url, projectId) {
+    const options = CONFIG.qrCode;
+    const target = this.buildQrTarget(url, projectId);
+
+    try {
+      const image = options.format === 'svg'
+        ? Buffer.from(await this.renderQrSvg(target))
+        : await this.renderQrPng(target);
+      const fileName = `${projectId}.${options.format}`;
+
+      if (CONFIG.qrCodePath && !CONFIG.dryRun) {
+        await fs.ensureDir(CONFIG.qrCodePath);
+        await fs.writeFile(path.join(CONFIG.qrCodePath, fileName), image);
+      }
+
+      if (options.embed === 'inline') {
+        const mimeType = options.format === 'svg' ? 'image/svg+xml' : 'image/png';
+        return `data:${mimeType};base64,${image.toString('base64')}`;
+      }
+      return `${options.publicPath}${fileName}`;
+    } catch (error) {
+      log.error(`Failed to generate QR code for ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // The URL a QR code encodes: the project URL, or with qrCode.target 'page' the project's static
+  // page on the published display, plus any tracking parameters (utm_source etc.)
+  buildQrTarget(url, projectId) {
+    const target = CONFIG.qrCode.target === 'page' && projectId
+      ? new URL(`${CONFIG.pages.publicPath}${encodeURIComponent(projectId)}/`, CONFIG.publicUrl)
+      : new URL(url);
+    for (const [name, value] of Object.entries(CONFIG.qrCode.queryParams)) {
+      target.searchParams.set(name, value);
+    }
+    return target.href;
+  }
+
+  // Options shared by the PNG and SVG renderers
+  qrRenderOptions() {
+    const { width, margin, color, errorCorrectionLevel } = CONFIG.qrCode;
+    return { width, margin, color, errorCorrectionLevel };
+  }
+
+  // Render a PNG, compositing the logo over the center if one is configured
+  async renderQrPng(text) {
+    const png = await QRCode.toBuffer(text, { ...this.qrRenderOptions(), type: 'png' });
+    if (!CONFIG.qrCode.logo) {
+      return png;
+    }
+
+    const { width, logoScale, color } = CONFIG.qrCode;
+    const logoSize = Math.round(width * logoScale);
+    const padding = Math.max(2, Math.round(logoSize * 0.1));
+    // The logo sits on a patch of the light color so it doesn't blend into the modules
+    const logo = await sharp(CONFIG.qrCode.logo)
+      .resize(logoSize, logoSize, { fit: 'contain', background: color.light })
+      .extend({ top: padding, bottom: padding, left: padding, right: padding, background: color.light })
+      .png()
+      .toBuffer();
+
+    return sharp(png).composite([{ input: logo, gravity: 'center' }]).png().toBuffer();
+  }
+
+  // Render an SVG, embedding the logo as an <image> over the center if one is configured
+  async renderQrSvg(text) {
+    const svg = await QRCode.toString(text, { ...this.qrRenderOptions(), type: 'svg' });
+    if (!CONFIG.qrCode.logo) {
+      return svg;
+    }
+
+    // qrcode sizes the SVG with a viewBox in modules; place the logo in those units
+    const viewBox = svg.match(/viewBox="0 0 (\d+) (\d+)"/);
+    const size = viewBox ? Number(viewBox[1]) : 0;
+    const logoSize = size * CONFIG.qrCode.logoScale;
+    const padding = logoSize * 0.1;
+    const offset = (size - logoSize) / 2;
+
+    const extension = path.extname(CONFIG.qrCode.logo).slice(1).toLowerCase();
+    const mimeType = extension === 'svg' ? 'image/svg+xml' : `image/${extension === 'jpg' ? 'jpeg' : extension}`;
+    const logoData = (await fs.readFile(CONFIG.qrCode.logo)).toString('base64');
+
+    const overlay = `<rect x="${offset - padding}" y="${offset - padding}" width="${logoSize + padding * 2}" ` +
+      `height="${logoSize + padding * 2}" fill="${CONFIG.qrCode.color.light}"/>` +
+      `<image x="${offset}" y="${offset}" width="${logoSize}" height="${logoSize}" ` +
+      `href="data:${mimeType};base64,${logoData}" preserveAspectRatio="xMidYMid meet"/>`;
+
+    return svg.replace('</svg>', `${overlay}</svg>`);
+  }
+
+  // Hash the main post content so cosmetic page changes don't trigger a re-scrape
+  hashContent($) {
+    const mainContent = $('.entry-content').text() ||
+                        $('.post-content').text() ||
+                        $('body').text() ||
+                        '';
+    const normalized = mainContent.replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  // Check whether a previously scraped project page has changed since the last run
+  async hasProjectChanged(previous, entry = {}) {
+    const fetchMeta = previous.fetchMeta;
+    // Records saved before post bodies and media were extracted need a fresh scrape to get them;
+    // filtered-out pages only keep what's needed to skip them
+    if (!fetchMeta || (!previous.filteredOut && (typeof previous.contentHtml !== 'string' || !Array.isArray(previous.media)))) {
+      return true;
+    }
+
+    // The sitemap's lastmod answers the question without requesting the page
+    if (entry.lastmod && fetchMeta.lastmod) {
+      return entry.lastmod !== fetchMeta.lastmod;
+    }
+
+    try {
+      const headers = {};
+      if (fetchMeta.etag) headers['If-None-Match'] = fetchMeta.etag;
+      if (fetchMeta.lastModified) headers['If-Modified-Since'] = fetchMeta.lastModified;
+
+      const response = await this.fetchStatic(previous.url, headers);
+
+      if (response.status === 304) {
+        log.debug(`Not modified (304): ${previous.url}`);
+        return false;
+      }
+
+      if (response.status !== 200) {
+        log.debug(`Change check returned HTTP ${response.status}, re-scraping: ${previous.url}`);
+        return true;
+      }
+
+      const $ = cheerio.load(response.html);
+      if (this.isChallengePage($)) {
+        log.debug(`Change check blocked by Cloudflare, re-scraping: ${previous.url}`);
+        return true;
+      }
+
+      return this.hashContent($) !== fetchMeta.contentHash;
     } catch (error) {
-      log.error(`Failed to generate QR code for ${url}: ${error.message}`);
-      return null;
+      // If we can't tell, err on the side of re-scraping
+      log.debug(`Change check failed for ${previous.url}: ${error.message}`);
+      return true;
+    }
+  }
+
+  // Carry an unchanged project forward from the previous run
+  async reuseProject(previous) {
+    const project = {
+      ...previous,
+      // Restore the unfiltered tags so tag filtering is applied the same way as for fresh scrapes
+      tags: Array.isArray(previous.originalTags) ? [...previous.originalTags] : [...(previous.tags || [])]
+    };
+    delete project.originalTags;
+
+    // Undo last run's overrides so edits removed from overrides.json don't linger
+    Object.assign(project, previous.originalFields);
+    delete project.originalFields;
+    delete project.hidden;
+    delete project.pinned;
+    delete project.featured;
+
+    // Records saved before titles were normalized still end in the site name
+    project.title = cleanTitle(project.title) || project.title;
+
+    // Records saved before authors were structured only have the raw byline
+    if (!Array.isArray(project.authors)) {
+      this.setProjectAuthors(project, this.splitAuthorNames(project.author || ''));
     }
+
+    // Records saved before dates were normalized hold the raw page text
+    project.dateCreated = this.normalizeDate(project.dateCreated) || this.normalizeDate(project.dateCreated, { fromText: true });
+
+    // Regenerate the QR code so the PNG exists even on a fresh checkout
+    project.qrCode = await this.generateQRCode(project.url, project.id);
+
+    this.stats.projectsReused++;
+    log.info(`Reusing unchanged project: ${project.title}`);
+    return project;
   }
 
-  // Generate unique project ID from URL
-  generateProjectId(url) {
-    return url
-      .replace(CONFIG.baseUrl, '')
+  // Generate unique project ID from URL. Projects from additional sites are prefixed with the
+  // site id, so the same slug on two sites gives two IDs.
+  generateProjectId(url, site = this.site) {
+    const id = url
+      .replace(site.baseUrl, '')
       .replace(/\/$/, '')
       .replace(/[^a-zA-Z0-9]/g, '-')
       .toLowerCase()
       .substring(0, 50);
+    return site.prefixIds ? `${site.id}-${id}` : id;
   }
 
   // Validate project data
@@ -684,16 +2018,65 @@ class MakerspaceScraper {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  // Save projects to JSON file
+  // Drop projects that don't match the published schema, logging why each was rejected
+  rejectInvalidProjects(projects) {
+    return projects.filter(project => {
+      const reasons = validateProjectRecord(project);
+      if (reasons.length === 0) {
+        return true;
+      }
+
+      log.warn(`Rejected project ${project.url || project.id}: ${reasons.join('; ')}`);
+      this.stats.errors++;
+      if (project.url) {
+        Object.assign(this.recordUrl(project.url, 'project'), {
+          status: 'invalid',
+          reason: 'schema',
+          error: reasons.join('; ')
+        });
+      }
+      return false;
+    });
+  }
+
+  // Save projects awaiting approval to pending.json, validated like projects.json
+  async savePendingProjects() {
+    this.pending = this.rejectInvalidProjects(this.pending);
+    await savePending(this.pending);
+    log.info(`Saved ${this.pending.length} pending projects to ${CONFIG.pendingPath}`);
+  }
+
+  // Record the projects just published as approved in moderation.json (see recordPublished)
+  async saveApprovals() {
+    const added = recordPublished(this.decisions, this.projects);
+    if (added.length > 0) {
+      await saveDecisions(this.decisions);
+      log.info(`Recorded ${added.length} published projects as approved in ${CONFIG.moderationPath}`);
+    }
+  }
+
+  // Save projects to JSON file, validated against data/projects.schema.json
   async saveData() {
     try {
+      this.projects = this.rejectInvalidProjects(this.projects);
+
       const data = {
+        schemaVersion: SCHEMA_VERSION,
         lastUpdated: new Date().toISOString(),
         totalProjects: this.projects.length,
         scrapingStats: this.stats,
-        projects: this.projects
+        // Sites the projects came from, so the display can label each project's source
+        sources: resolveSites().map(({ id, label, baseUrl }) => ({ id, label, url: baseUrl })),
+        projects: this.projects,
+        // Not shown; lets the next run skip pages the tag filter dropped if they haven't changed
+        filteredOut: this.filteredOut
       };
 
+      const problems = validateProjectsDocument(data);
+      if (problems.length > 0) {
+        throw new Error(`projects.json does not match schema version ${SCHEMA_VERSION}: ${problems.join('; ')}`);
+      }
+
       await fs.ensureDir(path.dirname(CONFIG.dataPath));
       await fs.writeJson(CONFIG.dataPath, data, { spaces: 2 });
       
@@ -704,6 +2087,110 @@ class MakerspaceScraper {
     }
   }
 
+  // Load data/overrides.json: { "<project id>": { "hidden", "pinned", "featured", ...field overrides } }.
+  // Keys starting with "_" are comments. A missing file means no overrides; a broken one stops the
+  // run, since saving without it would undo staff edits (e.g. show a project that should be hidden).
+  async loadOverrides() {
+    if (!(await fs.pathExists(CONFIG.overridesPath))) {
+      return {};
+    }
+
+    let overrides;
+    try {
+      overrides = await fs.readJson(CONFIG.overridesPath);
+    } catch (error) {
+      throw new Error(`Invalid overrides file ${CONFIG.overridesPath}: ${error.message}`);
+    }
+
+    if (!isPlainObject(overrides)) {
+      throw new Error(`Invalid overrides file ${CONFIG.overridesPath}: expected an object keyed by project ID`);
+    }
+
+    const result = {};
+    for (const [id, override] of Object.entries(overrides)) {
+      if (id.startsWith('_')) continue;
+      if (!isPlainObject(override)) {
+        throw new Error(`Invalid overrides file ${CONFIG.overridesPath}: "${id}" must be an object`);
+      }
+      result[id] = override;
+    }
+
+    log.info(`Loaded overrides for ${Object.keys(result).length} projects`);
+    return result;
+  }
+
+  // Apply the override for a project, if any: flags are set as booleans, other fields replace the
+  // scraped values (nested objects such as images are merged). The scraped values are kept in
+  // originalFields so the next run can start from them.
+  applyOverrides(project) {
+    const override = this.overrides[project.id];
+    if (!override) {
+      return project;
+    }
+
+    const flags = ['hidden', 'pinned', 'featured'];
+    const locked = ['id', 'url', 'originalFields'];
+    const originalFields = {};
+
+    for (const [field, value] of Object.entries(override)) {
+      if (field.startsWith('_')) continue;
+
+      if (flags.includes(field)) {
+        project[field] = value === true;
+      } else if (locked.includes(field)) {
+        log.warn(`Ignoring override of "${field}" for ${project.id}: it can't be changed`);
+      } else {
+        originalFields[field] = project[field] ?? null;
+        project[field] = isPlainObject(value) && isPlainObject(project[field])
+          ? this.mergeOverride(project[field], value)
+          : value;
+      }
+    }
+
+    if (Object.keys(originalFields).length > 0) {
+      project.originalFields = originalFields;
+    }
+    return project;
+  }
+
+  // Deep-merge an override object into a copy of the scraped value; arrays are replaced
+  mergeOverride(target, override) {
+    const merged = { ...target };
+    for (const [key, value] of Object.entries(override)) {
+      merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? this.mergeOverride(merged[key], value) : value;
+    }
+    return merged;
+  }
+
+  // Warn about overrides for projects that weren't discovered this run; they probably refer
+  // to a removed project or an ID that changed with the URL
+  warnAboutStaleOverrides(entries) {
+    const discoveredIds = new Set(entries.map(entry => this.generateProjectId(entry.url, entry.site)));
+    const staleIds = Object.keys(this.overrides).filter(id => !discoveredIds.has(id));
+
+    for (const id of staleIds) {
+      log.warn(`Override for "${id}" doesn't match any discovered project; remove it from ${path.basename(CONFIG.overridesPath)} if the project is gone`);
+    }
+    return staleIds;
+  }
+
+  // Drop rejected projects and, in approval mode, move projects not seen before into this.pending
+  applyModeration(previousData) {
+    const { published, pending, rejected } = partitionForModeration(
+      this.projects, this.decisions, previousData, { holdNew: CONFIG.moderation.enabled }
+    );
+
+    this.projects = published;
+    this.pending = pending;
+
+    if (rejected.length > 0) {
+      log.info(`Left out ${rejected.length} rejected projects`);
+    }
+    if (pending.length > 0) {
+      log.info(`${pending.length} new projects awaiting approval: ${pending.map(project => project.id).join(', ')}`);
+    }
+  }
+
   // Load existing data for comparison
   async loadExistingData() {
     try {
@@ -718,10 +2205,268 @@ class MakerspaceScraper {
     return null;
   }
 
-  // Check if project matches tag filter criteria
-  matchesTagFilter(project) {
+  // Compare the new results with the previously saved data to catch a blocked or broken scrape
+  checkDatasetSafety(previousData, entries) {
+    // Projects hidden or rejected on purpose aren't missing
+    const previousProjects = (previousData?.projects || [])
+      .filter(project => !this.overrides[project.id]?.hidden && !this.decisions.rejected[project.id]);
+    const previousCount = previousProjects.length;
+    const newCount = this.projects.length;
+    // Reused and skipped projects can't fail, so only the ones actually scraped count
+    const attempted = this.stats.projectsAttempted;
+    const errorRate = attempted > 0 ? this.stats.errors / attempted : 0;
+    const reasons = [];
+
+    if (previousCount > 0) {
+      const dropRatio = (previousCount - newCount) / previousCount;
+      if (dropRatio > CONFIG.safetyCheck.maxDropRatio) {
+        reasons.push(`project count dropped from ${previousCount} to ${newCount} ` +
+          `(${Math.round(dropRatio * 100)}%, max allowed ${Math.round(CONFIG.safetyCheck.maxDropRatio * 100)}%)`);
+      }
+    }
+
+    if (errorRate > CONFIG.safetyCheck.maxErrorRate) {
+      reasons.push(`error rate ${Math.round(errorRate * 100)}% ` +
+        `(${this.stats.errors} errors for ${attempted} projects scraped, max allowed ${Math.round(CONFIG.safetyCheck.maxErrorRate * 100)}%)`);
+    }
+
+    // Projects that were still listed but failed to scrape point to a scrape failure, not a real removal
+    const discoveredUrls = new Set(entries.map(entry => entry.url));
+    const newUrls = new Set(this.projects.map(project => project.url));
+    const missingProjects = previousProjects
+      .filter(project => !newUrls.has(project.url))
+      .map(project => ({
+        id: project.id,
+        url: project.url,
+        title: project.title,
+        stillListed: discoveredUrls.has(project.url)
+      }));
+
+    return {
+      ok: reasons.length === 0,
+      reasons,
+      report: {
+        generatedAt: new Date().toISOString(),
+        reasons,
+        thresholds: {
+          maxDropRatio: CONFIG.safetyCheck.maxDropRatio,
+          maxErrorRate: CONFIG.safetyCheck.maxErrorRate
+        },
+        previousCount,
+        newCount,
+        discoveredCount: entries.length,
+        errorRate,
+        stats: this.stats,
+        missingProjects
+      }
+    };
+  }
+
+  // Throw (leaving projects.json untouched) and write a diagnostic report if the new results look broken
+  async assertSafeToSave(previousData, entries) {
+    if (!CONFIG.safetyCheck.enabled) {
+      return;
+    }
+
+    const check = this.checkDatasetSafety(previousData, entries);
+    if (check.ok) {
+      return;
+    }
+
+    await fs.ensureDir(path.dirname(CONFIG.diagnosticsPath));
+    await fs.writeJson(CONFIG.diagnosticsPath, check.report, { spaces: 2 });
+    log.error(`Diagnostic report written to ${CONFIG.diagnosticsPath}`);
+
+    throw new Error(`Refusing to overwrite ${CONFIG.dataPath}: ${check.reasons.join('; ')}`);
+  }
+
+  // Diff the new projects against the previous projects.json, field by field
+  computeChanges(previousData) {
+    const trackedFields = ['title', 'author', 'tags', 'images.main', 'images.thumbnail', 'images.gallery'];
+    // Titles saved before they were normalized end in the site name; that alone isn't a change
+    const getField = (project, field) => field === 'title'
+      ? cleanTitle(project.title)
+      : field.split('.').reduce((value, key) => value?.[key], project);
+    const summarize = project => ({ id: project.id, title: project.title, url: project.url });
+
+    const previousById = new Map((previousData?.projects || []).map(project => [project.id, project]));
+    const currentIds = new Set(this.projects.map(project => project.id));
+
+    const added = [];
+    const modified = [];
+    let unchanged = 0;
+
+    for (const project of this.projects) {
+      const previous = previousById.get(project.id);
+      if (!previous) {
+        added.push(summarize(project));
+        continue;
+      }
+
+      const fieldChanges = trackedFields
+        .map(field => ({ field, before: getField(previous, field) ?? null, after: getField(project, field) ?? null }))
+        .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+      if (fieldChanges.length > 0) {
+        modified.push({ ...summarize(project), changes: fieldChanges });
+      } else {
+        unchanged++;
+      }
+    }
+
+    const removed = [...previousById.values()]
+      .filter(project => !currentIds.has(project.id))
+      .map(summarize);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      summary: {
+        added: added.length,
+        removed: removed.length,
+        modified: modified.length,
+        unchanged
+      },
+      added,
+      removed,
+      modified,
+      pending: this.pending.map(summarize)
+    };
+  }
+
+  // Render the change report as markdown, e.g. for the workflow's commit message body
+  renderChangesMarkdown(changes) {
+    const { summary } = changes;
+    const lines = [`${summary.added} added, ${summary.removed} removed, ${summary.modified} modified, ${summary.unchanged} unchanged`];
+    const formatValue = value => Array.isArray(value) ? `[${value.join(', ')}]` : `"${value ?? ''}"`;
+
+    if (changes.added.length > 0) {
+      lines.push('', 'Added:');
+      changes.added.forEach(project => lines.push(`- ${project.title} (${project.id})`));
+    }
+
+    if (changes.removed.length > 0) {
+      lines.push('', 'Removed:');
+      changes.removed.forEach(project => lines.push(`- ${project.title} (${project.id})`));
+    }
+
+    if (changes.modified.length > 0) {
+      lines.push('', 'Modified:');
+      changes.modified.forEach(project => {
+        lines.push(`- ${project.title} (${project.id})`);
+        project.changes.forEach(change => {
+          lines.push(`  - ${change.field}: ${formatValue(change.before)} -> ${formatValue(change.after)}`);
+        });
+      });
+    }
+
+    if (changes.pending?.length > 0) {
+      lines.push('', 'Awaiting approval (node scraper/moderate.js list):');
+      changes.pending.forEach(project => lines.push(`- ${project.title} (${project.id})`));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  // Log what a real run would have saved, without writing anything
+  reportDryRun(existingData, entries) {
+    log.info(`Dry run: would save ${this.projects.length} projects to ${CONFIG.dataPath}`);
+
+    const check = this.checkDatasetSafety(existingData, entries);
+    if (CONFIG.safetyCheck.enabled && !check.ok) {
+      log.warn(`Dry run: a real run would refuse to save: ${check.reasons.join('; ')}`);
+    }
+
+    log.info(`Dry run: changes since last run:\n${this.renderChangesMarkdown(this.computeChanges(existingData))}`);
+  }
+
+  // Write the change report as JSON and markdown
+  async saveChangeReport(changes) {
+    try {
+      await fs.ensureDir(path.dirname(CONFIG.changesPath));
+      await fs.writeJson(CONFIG.changesPath, changes, { spaces: 2 });
+      await fs.writeFile(CONFIG.changesMarkdownPath, this.renderChangesMarkdown(changes));
+
+      const { summary } = changes;
+      log.info(`Changes since last run: ${summary.added} added, ${summary.removed} removed, ${summary.modified} modified`);
+    } catch (error) {
+      log.warn(`Failed to save change report: ${error.message}`);
+    }
+  }
+
+  // Delete QR code images for projects that are no longer in projects.json
+  async cleanupOrphanedQRCodes() {
+    if (!CONFIG.qrCodePath || !(await fs.pathExists(CONFIG.qrCodePath))) {
+      return [];
+    }
+
+    const currentIds = new Set([...this.projects, ...this.pending].map(project => project.id));
+    const files = await fs.readdir(CONFIG.qrCodePath);
+    const orphaned = files.filter(file => {
+      const extension = path.extname(file);
+      // Includes codes in the format that isn't configured any more
+      return ['.png', '.svg'].includes(extension) &&
+        (!currentIds.has(path.basename(file, extension)) || extension !== `.${CONFIG.qrCode.format}`);
+    });
+
+    for (const file of orphaned) {
+      await fs.remove(path.join(CONFIG.qrCodePath, file));
+      log.debug(`Removed orphaned QR code: ${file}`);
+    }
+
+    if (orphaned.length > 0) {
+      log.info(`Removed ${orphaned.length} orphaned QR codes`);
+    }
+    return orphaned;
+  }
+
+  // Delete mirrored images that no saved project references any more. Skipped with mirroring
+  // off: projects scraped then have no mirrored paths, so every committed image would look orphaned.
+  async cleanupOrphanedImages() {
+    if (!CONFIG.images.mirror) {
+      log.debug('Image mirroring is off, keeping existing mirrored images');
+      return [];
+    }
+    if (!(await fs.pathExists(CONFIG.images.outputPath))) {
+      return [];
+    }
+
+    const referenced = new Set();
+    for (const project of [...this.projects, ...this.pending]) {
+      const images = project.images || {};
+      [images.thumbnail, images.mirrored?.main, ...(images.mirrored?.gallery || []), ...(project.media || []).map(item => item.mirroredPoster)]
+        .filter(Boolean)
+        .forEach(publicPath => referenced.add(publicPath));
+    }
+
+    const orphaned = [];
+    for (const projectId of await fs.readdir(CONFIG.images.outputPath)) {
+      const projectDir = path.join(CONFIG.images.outputPath, projectId);
+      if (!(await fs.stat(projectDir)).isDirectory()) continue;
+
+      for (const file of await fs.readdir(projectDir)) {
+        if (!referenced.has(`${CONFIG.images.publicPath}${projectId}/${file}`)) {
+          await fs.remove(path.join(projectDir, file));
+          orphaned.push(`${projectId}/${file}`);
+        }
+      }
+
+      if ((await fs.readdir(projectDir)).length === 0) {
+        await fs.remove(projectDir);
+      }
+    }
+
+    if (orphaned.length > 0) {
+      log.info(`Removed ${orphaned.length} orphaned mirrored images`);
+    }
+    return orphaned;
+  }
+
+  // Check if project matches the tag filter of the site it came from
+  matchesTagFilter(project, site = this.site) {
+    const { tagFilter } = site;
+
     // If tag filtering is disabled, include all projects
-    if (!CONFIG.tagFilter.enabled) {
+    if (!tagFilter.enabled) {
       return true;
     }
 
@@ -730,34 +2475,115 @@ class MakerspaceScraper {
       return false;
     }
 
-    const projectTags = project.tags.map(tag => tag.toLowerCase().trim());
-    const requiredTags = CONFIG.tagFilter.requiredTags.map(tag => tag.toLowerCase().trim());
+    // Compare canonical names exactly, so "lab" never matches "collaboration"
+    const projectTags = new Set(this.taxonomy.canonicalizeAll(project.tags).map(tagKey));
+    const requiredTags = this.taxonomy.canonicalizeAll(tagFilter.requiredTags).map(tagKey);
 
-    if (CONFIG.tagFilter.mode === 'all') {
+    if (tagFilter.mode === 'all') {
       // Project must have ALL required tags
-      return requiredTags.every(requiredTag => 
-        projectTags.some(projectTag => projectTag.includes(requiredTag))
-      );
+      return requiredTags.every(requiredTag => projectTags.has(requiredTag));
     } else {
       // Project must have at least ONE required tag (default mode)
-      return requiredTags.some(requiredTag => 
-        projectTags.some(projectTag => projectTag.includes(requiredTag))
-      );
+      return requiredTags.some(requiredTag => projectTags.has(requiredTag));
     }
   }
 
   // Check if a tag should be excluded from display
-  shouldExcludeTag(tag) {
-    const normalizedTag = tag.toLowerCase().trim();
-    return CONFIG.excludedTags.some(excludedTag => 
-      normalizedTag.includes(excludedTag.toLowerCase()) || 
-      excludedTag.toLowerCase().includes(normalizedTag)
-    );
+  shouldExcludeTag(tag, site = this.site) {
+    const canonicalTag = tagKey(this.taxonomy.canonicalize(tag));
+    return site.excludedTags.some(excludedTag => tagKey(this.taxonomy.canonicalize(excludedTag)) === canonicalTag);
+  }
+
+  // Map a project's tags to canonical names and drop excluded ones
+  filterTags(tags, site = this.site) {
+    return this.taxonomy.canonicalizeAll(tags).filter(tag => !this.shouldExcludeTag(tag, site));
+  }
+
+  // Write data/tags.json: every displayed tag with its color and how many projects use it, most used first
+  async saveTagIndex() {
+    const counts = new Map();
+    for (const project of this.projects) {
+      for (const tag of project.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+
+    const tags = [...counts.entries()]
+      .map(([name, count]) => ({ ...this.taxonomy.describe(name), count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+    try {
+      await fs.ensureDir(path.dirname(CONFIG.tagsPath));
+      await fs.writeJson(CONFIG.tagsPath, {
+        lastUpdated: new Date().toISOString(),
+        totalTags: tags.length,
+        tags
+      }, { spaces: 2 });
+      log.info(`Saved ${tags.length} tags to ${CONFIG.tagsPath}`);
+    } catch (error) {
+      log.warn(`Failed to save tag index: ${error.message}`);
+    }
   }
 
-  // Filter out excluded tags from a project's tag list
-  filterTags(tags) {
-    return tags.filter(tag => !this.shouldExcludeTag(tag));
+  // Write data/feed.xml (Atom) and data/feed.json (JSON Feed) from the saved projects, newest first.
+  // Links in the feeds point at the published display (publicUrl), where these files are served.
+  async saveFeeds() {
+    if (!CONFIG.feeds.enabled) {
+      return;
+    }
+
+    const projects = this.sortByPublishDate(this.projects).slice(0, CONFIG.feeds.limit);
+    const publicFile = filePath => new URL(`data/${path.basename(filePath)}`, CONFIG.publicUrl).href;
+    const feed = {
+      title: CONFIG.feeds.title,
+      description: CONFIG.feeds.description,
+      author: CONFIG.feeds.author,
+      homeUrl: CONFIG.publicUrl,
+      publicUrl: CONFIG.publicUrl,
+      atomUrl: publicFile(CONFIG.feedPath),
+      jsonUrl: publicFile(CONFIG.jsonFeedPath)
+    };
+
+    try {
+      await fs.outputFile(CONFIG.feedPath, buildAtomFeed(projects, feed));
+      await fs.outputJson(CONFIG.jsonFeedPath, buildJsonFeed(projects, feed), { spaces: 2 });
+      log.info(`Saved feeds with ${projects.length} projects to ${CONFIG.feedPath} and ${CONFIG.jsonFeedPath}`);
+    } catch (error) {
+      log.warn(`Failed to save feeds: ${error.message}`);
+    }
+  }
+
+  // Write a static detail page for every saved project to pagesPath/<id>/index.html, and remove
+  // pages of projects that are no longer saved
+  async saveProjectPages() {
+    if (!CONFIG.pages.enabled) {
+      return;
+    }
+
+    // Pages sit in <publicPath>/<id>/, so climb that many levels back to the site root
+    const rootPath = '../'.repeat(CONFIG.pages.publicPath.split('/').filter(Boolean).length + 1);
+    const options = { siteTitle: CONFIG.feeds.title, rootPath };
+
+    try {
+      for (const project of this.projects) {
+        await fs.outputFile(path.join(CONFIG.pagesPath, project.id, 'index.html'), renderProjectPage(project, options));
+      }
+
+      const savedIds = new Set(this.projects.map(project => project.id));
+      let removed = 0;
+      for (const entry of await fs.readdir(CONFIG.pagesPath)) {
+        const pageDir = path.join(CONFIG.pagesPath, entry);
+        // Only directories holding a generated page, so nothing else in pagesPath is touched
+        if (!savedIds.has(entry) && await fs.pathExists(path.join(pageDir, 'index.html'))) {
+          await fs.remove(pageDir);
+          removed++;
+        }
+      }
+
+      log.info(`Saved ${this.projects.length} project pages to ${CONFIG.pagesPath}${removed > 0 ? `, removed ${removed}` : ''}`);
+    } catch (error) {
+      log.warn(`Failed to save project pages: ${error.message}`);
+    }
   }
 
   // Main scraping process
@@ -768,86 +2594,139 @@ class MakerspaceScraper {
       log.info(`Node version: ${process.version}`);
 
       // Log tag filtering configuration
-      if (CONFIG.tagFilter.enabled) {
-        log.info(`Tag filtering enabled: requiring ${CONFIG.tagFilter.mode === 'all' ? 'ALL' : 'ANY'} of [${CONFIG.tagFilter.requiredTags.join(', ')}]`);
-      } else {
-        log.info('Tag filtering disabled - including all projects');
+      for (const { label, tagFilter } of resolveSites()) {
+        if (tagFilter.enabled) {
+          log.info(`${label}: tag filtering enabled, requiring ${tagFilter.mode === 'all' ? 'ALL' : 'ANY'} of [${tagFilter.requiredTags.join(', ')}]`);
+        } else {
+          log.info(`${label}: tag filtering disabled - including all projects`);
+        }
       }
 
-      // Initialize browser
-      await this.initBrowser();
-      
-      // Test connectivity first
-      log.info('Testing browser connectivity...');
-      try {
-        await this.page.goto('https://www.google.com', { 
-          waitUntil: 'networkidle0', 
-          timeout: 30000 
-        });
-        log.info('✓ Browser connectivity test successful');
-      } catch (error) {
-        log.error(`✗ Browser connectivity test failed: ${error.message}`);
-        throw new Error('Browser connectivity issues detected');
+      log.info(`Source: ${CONFIG.source.type}, fetch strategy: ${CONFIG.fetch.strategy}`);
+
+      if (CONFIG.qrCode.target === 'page' && !CONFIG.pages.enabled) {
+        log.warn('QR codes point at project pages (qrCode.target: page), but pages.enabled is false');
+      }
+
+      if (CONFIG.qrCode.logo && ['L', 'M'].includes(CONFIG.qrCode.errorCorrectionLevel)) {
+        log.warn(`QR codes have a logo but error correction level ${CONFIG.qrCode.errorCorrectionLevel}; ` +
+          'use Q or H so they still scan with the center covered');
       }
 
-      // Discover projects
-      const projectUrls = await this.discoverProjects();
+      this.overrides = await this.loadOverrides();
+      this.decisions = await loadDecisions();
+
+      // Discover projects on every configured site
+      const entries = await this.discoverAllEntries();
+
+      // Load previous results to sanity-check the new ones and carry unchanged projects forward
+      const existingData = await this.loadExistingData();
       
-      if (projectUrls.length === 0) {
+      if (entries.length === 0) {
         log.warn('No projects found to scrape');
+        await this.assertSafeToSave(existingData, entries);
         return;
       }
 
-      // Scrape each project
-      let filteredCount = 0;
-      for (const [index, url] of projectUrls.entries()) {
-        log.info(`Processing project ${index + 1}/${projectUrls.length}`);
-        
-        const project = await this.scrapeProject(url);
-        
-        if (project) {
-          const originalTags = Array.isArray(project.tags) ? [...project.tags] : [];
-
-          // Apply tag filtering against untouched tag list, then strip display-only tags
-          if (this.matchesTagFilter({ ...project, tags: originalTags })) {
-            // Now filter out excluded tags for display only
-            project.tags = this.filterTags(project.tags);
-            project.originalTags = originalTags;
-            
-            this.projects.push(project);
-            log.debug(`✓ Project "${project.title}" matches tag filter`);
-          } else {
-            filteredCount++;
-            log.debug(`✗ Project "${project.title}" filtered out (tags: ${project.tags?.join(', ') || 'none'})`);
-          }
+      const previousByUrl = new Map();
+      if (CONFIG.incremental.enabled) {
+        for (const previous of existingData?.projects || []) {
+          previousByUrl.set(previous.url, previous);
         }
+        const reusable = previousByUrl.size;
+        for (const skipped of existingData?.filteredOut || []) {
+          previousByUrl.set(skipped.url, skipped);
+        }
+        log.info(`Incremental mode: ${reusable} previously scraped projects available for reuse, ` +
+          `${previousByUrl.size - reusable} filtered-out pages to skip if unchanged`);
+      } else {
+        log.info('Incremental mode disabled - re-scraping all projects');
+      }
+
+      // Scrape projects concurrently; the rate limiter keeps the overall request rate polite
+      log.info(`Scraping with up to ${CONFIG.concurrency.maxConcurrent} concurrent workers, ` +
+        `max ${CONFIG.concurrency.requestsPerSecond} requests/second`);
+      const results = await mapWithConcurrency(
+        entries,
+        CONFIG.concurrency.maxConcurrent,
+        (entry, index) => this.processEntry(entry, index, entries.length, previousByUrl)
+      );
 
-        // Add delay between projects
-        if (index < projectUrls.length - 1) {
-          await this.delay(CONFIG.delays.betweenProjects);
+      // Collect in discovery order, whatever order the workers finished in
+      let filteredCount = 0;
+      let hiddenCount = 0;
+      const seenIds = new Map();
+      for (const result of results) {
+        if (result?.included && seenIds.has(result.project.id)) {
+          // Two sites can still produce one ID, e.g. the first site's slug "lab-x" and site "lab"'s "x"
+          log.warn(`Skipping ${result.project.url}: ID "${result.project.id}" is already used by ${seenIds.get(result.project.id)}`);
+        } else if (result?.included) {
+          seenIds.set(result.project.id, result.project.url);
+          this.projects.push(result.project);
+        } else if (result?.hidden) {
+          hiddenCount++;
+        } else if (result) {
+          filteredCount++;
         }
       }
+      this.projects = this.sortByPublishDate(this.projects);
 
       // Log filtering results
-      if (CONFIG.tagFilter.enabled) {
+      if (resolveSites().some(site => site.tagFilter.enabled)) {
         log.info(`Tag filtering results: ${this.projects.length} projects included, ${filteredCount} projects filtered out`);
       }
+      if (hiddenCount > 0) {
+        log.info(`${hiddenCount} projects hidden by overrides`);
+      }
+      this.warnAboutStaleOverrides(entries);
+      this.applyModeration(existingData);
+
+      if (CONFIG.dryRun) {
+        this.reportDryRun(existingData, entries);
+      } else {
+        // Save results, unless they look like a failed scrape
+        await this.assertSafeToSave(existingData, entries);
+        await this.saveData();
+        await this.saveTagIndex();
+        await this.saveFeeds();
+        await this.saveProjectPages();
+        if (CONFIG.moderation.enabled) {
+          await this.savePendingProjects();
+          await this.saveApprovals();
+        }
 
-      // Save results
-      await this.saveData();
+        // Report what changed since the last run and drop QR codes for removed projects
+        const changes = this.computeChanges(existingData);
+        await this.saveChangeReport(changes);
+        await this.cleanupOrphanedQRCodes();
+        await this.cleanupOrphanedImages();
+      }
 
-      // Log final statistics
-      const duration = (Date.now() - this.stats.startTime) / 1000;
-      log.info(`Scraping completed in ${duration}s`);
-      log.info(`Projects found: ${this.stats.projectsFound}`);
-      log.info(`Projects successfully scraped: ${this.stats.projectsScraped}`);
-      log.info(`Projects included after filtering: ${this.projects.length}`);
-      log.info(`Errors encountered: ${this.stats.errors}`);
+      // Final statistics as one record, so runs can be compared
+      const durationMs = Date.now() - this.stats.startTime;
+      log.info(`Scraping completed in ${durationMs / 1000}s: ${this.stats.projectsFound} found, ` +
+        `${this.stats.projectsScraped} scraped, ${this.stats.projectsReused} reused, ` +
+        `${this.projects.length} included, ${this.stats.errors} errors`, {
+        event: 'scrape.summary',
+        durationMs,
+        source: CONFIG.source.type,
+        projectsFound: this.stats.projectsFound,
+        projectsScraped: this.stats.projectsScraped,
+        projectsReused: this.stats.projectsReused,
+        projectsIncluded: this.projects.length,
+        projectsPending: this.pending.length,
+        errors: this.stats.errors,
+        dryRun: CONFIG.dryRun
+      });
 
     } catch (error) {
-      log.error(`Scraping process failed: ${error.message}`);
+      log.error(`Scraping process failed: ${error.message}`, { event: 'scrape.failed', error, durationMs: Date.now() - this.stats.startTime });
       throw error;
     } finally {
+      if (!CONFIG.dryRun) {
+        await this.saveScrapeReport();
+      }
+
       // Always close browser
       if (this.browser) {
         await this.browser.close();
@@ -858,7 +2737,30 @@ class MakerspaceScraper {
 
 // Run scraper if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const scraper = new MakerspaceScraper();
+  let scraper;
+  try {
+    const cli = parseCliArgs(process.argv.slice(2));
+    if (cli.help) {
+      console.log(USAGE);
+      process.exit(0);
+    }
+
+    // Config file first, then command-line flags on top
+    if (cli.configFile) {
+      try {
+        applyConfig(await loadConfigFile(cli.configFile), { baseDir: path.dirname(cli.configFile) });
+      } catch (error) {
+        throw new Error(`${cli.configFile}: ${error.message}`);
+      }
+    }
+    applyConfig(cli.overrides);
+
+    // Loads the tag taxonomy, so a broken taxonomy file is reported like a config error
+    scraper = new MakerspaceScraper();
+  } catch (error) {
+    log.error(error.message);
+    process.exit(2);
+  }
   
   scraper.scrape()
     .then(() => {
@@ -871,4 +2773,5 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     });
 }
 
+export { CONFIG, applyConfig };
 export default MakerspaceScraper;
@@ -0,0 +1,70 @@
+import fs from 'fs-extra';
+import YAML from 'yaml';
+
+// Lookup key for a tag: case, spacing, hyphens and underscores don't matter
+// ("3D-Printing", "3d printing" and "3D  printing" share a key)
+export const tagKey = tag => String(tag).toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+
+// URL-safe form of a canonical tag name, for the tag index
+const slugify = name => tagKey(name).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Maps the tags people actually type onto canonical tags with display casing and an optional color.
+// Tags the taxonomy doesn't know are kept, with their spacing tidied.
+export class TagTaxonomy {
+  // definition: { tags: { 'Canonical Name': { synonyms: [...], color: '#rrggbb' } } }
+  constructor(definition = {}) {
+    this.tags = new Map();
+    this.lookup = new Map();
+
+    for (const [name, details] of Object.entries(definition.tags || {})) {
+      const { synonyms = [], color = null } = details || {};
+      this.tags.set(name, { name, slug: slugify(name), color });
+
+      for (const alias of [name, ...synonyms]) {
+        const key = tagKey(alias);
+        const existing = this.lookup.get(key);
+        if (existing && existing !== name) {
+          throw new Error(`"${alias}" is listed under both "${existing}" and "${name}"`);
+        }
+        this.lookup.set(key, name);
+      }
+    }
+  }
+
+  // Load a taxonomy from a YAML or JSON file; a missing file gives an empty taxonomy
+  static fromFile(filePath) {
+    if (!fs.pathExistsSync(filePath)) {
+      return new TagTaxonomy();
+    }
+
+    try {
+      return new TagTaxonomy(YAML.parse(fs.readFileSync(filePath, 'utf8')) || {});
+    } catch (error) {
+      throw new Error(`Invalid tag taxonomy ${filePath}: ${error.message}`);
+    }
+  }
+
+  // Canonical name for a tag
+  canonicalize(tag) {
+    return this.lookup.get(tagKey(tag)) || String(tag).replace(/\s+/g, ' ').trim();
+  }
+
+  // Canonical names for a tag list, without duplicates or blanks, in first-seen order
+  canonicalizeAll(tags) {
+    const seen = new Set();
+    const result = [];
+    for (const tag of tags || []) {
+      const name = this.canonicalize(tag);
+      if (name && !seen.has(tagKey(name))) {
+        seen.add(tagKey(name));
+        result.push(name);
+      }
+    }
+    return result;
+  }
+
+  // Display details for a canonical tag
+  describe(name) {
+    return this.tags.get(name) || { name, slug: slugify(name), color: null };
+  }
+}
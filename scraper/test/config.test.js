@@ -0,0 +1,216 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { CONFIG, applyConfig, loadConfigFile, parseCliArgs, validateConfig } from '../config.js';
+
+const defaults = structuredClone(CONFIG);
+
+beforeEach(() => {
+  for (const key of Object.keys(CONFIG)) {
+    CONFIG[key] = structuredClone(defaults[key]);
+  }
+});
+
+describe('validateConfig()', () => {
+  it('accepts valid nested options', () => {
+    assert.deepEqual(validateConfig({
+      baseUrl: 'https://example.edu/makerspace/projects/',
+      maxProjects: null,
+      tagFilter: { mode: 'all', requiredTags: ['makerspace'] },
+      delays: { betweenPages: 0 }
+    }), []);
+  });
+
+  it('reports every unknown option and bad value', () => {
+    assert.deepEqual(validateConfig({
+      baseUrl: 'ftp://example.edu/',
+      maxProjects: 0,
+      tagFilter: { mode: 'some', requiredTags: 'makerspace' },
+      delay: 5
+    }), [
+      'Invalid value for "baseUrl": "ftp://example.edu/" must be an http(s) URL',
+      'Invalid value for "maxProjects": 0 must be a whole number > 0, or null for no limit',
+      'Invalid value for "tagFilter.mode": "some" must be one of: any, all',
+      'Invalid value for "tagFilter.requiredTags": "makerspace" must be a list of strings',
+      'Unknown config option "delay"'
+    ]);
+  });
+});
+
+describe('validateConfig() sites', () => {
+  it('needs a unique slug id and a URL for every site', () => {
+    assert.deepEqual(validateConfig({ sites: [{ id: 'main', baseUrl: 'https://example.edu/projects/' }] }), []);
+    assert.match(validateConfig({ sites: [{ id: 'Main Lab', baseUrl: 'https://example.edu/' }] })[0], /lowercase letters, digits and hyphens/);
+    assert.match(validateConfig({ sites: [{ id: 'lab', baseUrl: 'https://a.edu/' }, { id: 'lab', baseUrl: 'https://b.edu/' }] })[0], /"lab" is used twice/);
+    assert.match(validateConfig({ sites: [{ id: 'lab', baseUrl: 'https://a.edu/', tagFilter: { mode: 'some' } }] })[0], /tagFilter\.mode must be one of/);
+    assert.match(validateConfig({ sites: [{ id: 'lab', url: 'https://a.edu/' }] })[0], /unknown option "url"/);
+  });
+});
+
+describe('applyConfig()', () => {
+  it('merges nested options without dropping siblings', () => {
+    applyConfig({ tagFilter: { mode: 'all' } });
+
+    assert.equal(CONFIG.tagFilter.mode, 'all');
+    assert.deepEqual(CONFIG.tagFilter.requiredTags, ['makerspace']);
+  });
+
+  it('throws with every problem listed', () => {
+    assert.throws(
+      () => applyConfig({ source: { type: 'ftp' }, fetch: { timeout: -1 } }),
+      /source\.type[\s\S]*fetch\.timeout/
+    );
+  });
+
+  it('adds a trailing slash to baseUrl and derives siteUrl from it', () => {
+    applyConfig({ baseUrl: 'https://example.edu/artstudio/projects' });
+
+    assert.equal(CONFIG.baseUrl, 'https://example.edu/artstudio/projects/');
+    assert.equal(CONFIG.siteUrl, 'https://example.edu/artstudio/');
+  });
+
+  it('rejects an unknown log level from LOG_LEVEL unless the config sets one', () => {
+    const previous = process.env.LOG_LEVEL;
+    process.env.LOG_LEVEL = 'verbose';
+    CONFIG.logging.level = 'verbose';
+    try {
+      assert.throws(() => applyConfig({}), /"logging\.level" \(from LOG_LEVEL\): "verbose" must be one of/);
+
+      applyConfig({ logging: { level: 'warn' } });
+      assert.equal(CONFIG.logging.level, 'warn');
+    } finally {
+      if (previous === undefined) {
+        delete process.env.LOG_LEVEL;
+      } else {
+        process.env.LOG_LEVEL = previous;
+      }
+    }
+  });
+
+  it('rejects an unknown fetch strategy from FETCH_STRATEGY', () => {
+    const previous = process.env.FETCH_STRATEGY;
+    process.env.FETCH_STRATEGY = 'statc';
+    CONFIG.fetch.strategy = 'statc';
+    try {
+      assert.throws(() => applyConfig({}), /"fetch\.strategy" \(from FETCH_STRATEGY\): "statc" must be one of/);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.FETCH_STRATEGY;
+      } else {
+        process.env.FETCH_STRATEGY = previous;
+      }
+    }
+  });
+
+  it('rejects an unknown source from SCRAPER_SOURCE', () => {
+    const previous = process.env.SCRAPER_SOURCE;
+    process.env.SCRAPER_SOURCE = 'wpapi';
+    CONFIG.source.type = 'wpapi';
+    try {
+      assert.throws(() => applyConfig({}), /"source\.type" \(from SCRAPER_SOURCE\): "wpapi" must be one of/);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.SCRAPER_SOURCE;
+      } else {
+        process.env.SCRAPER_SOURCE = previous;
+      }
+    }
+  });
+
+  it('resolves paths against baseDir and keeps reports next to projects.json', () => {
+    applyConfig({ dataPath: 'out/projects.json' }, { baseDir: '/srv/display' });
+
+    assert.equal(CONFIG.dataPath, '/srv/display/out/projects.json');
+    assert.equal(CONFIG.changesPath, '/srv/display/out/changes.json');
+    assert.equal(CONFIG.diagnosticsPath, '/srv/display/out/scrape-diagnostics.json');
+  });
+
+  it('keeps curated inputs at their own paths when only dataPath changes', () => {
+    applyConfig({ dataPath: 'out/projects.json' }, { baseDir: '/srv/display' });
+
+    assert.equal(CONFIG.overridesPath, defaults.overridesPath);
+    assert.equal(CONFIG.moderationPath, defaults.moderationPath);
+    assert.equal(CONFIG.pendingPath, defaults.pendingPath);
+  });
+
+  it('uses explicitly set input paths', () => {
+    applyConfig({ dataPath: 'out/projects.json', overridesPath: 'curated/overrides.json' }, { baseDir: '/srv/display' });
+
+    assert.equal(CONFIG.overridesPath, '/srv/display/curated/overrides.json');
+  });
+});
+
+describe('loadConfigFile()', () => {
+  it('reads JSON and YAML files', async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'makerspace-config-'));
+    try {
+      await fs.writeFile(path.join(tmpDir, 'config.json'), '{ "maxProjects": 3 }');
+      await fs.writeFile(path.join(tmpDir, 'config.yaml'), 'tagFilter:\n  requiredTags:\n    - physics\n');
+
+      assert.deepEqual(await loadConfigFile(path.join(tmpDir, 'config.json')), { maxProjects: 3 });
+      assert.deepEqual(await loadConfigFile(path.join(tmpDir, 'config.yaml')), { tagFilter: { requiredTags: ['physics'] } });
+    } finally {
+      await fs.remove(tmpDir);
+    }
+  });
+
+  it('explains missing and malformed files', async () => {
+    await assert.rejects(loadConfigFile('/nonexistent/config.json'), /Could not read config file/);
+
+    const tmpFile = path.join(os.tmpdir(), `makerspace-config-${process.pid}.json`);
+    await fs.writeFile(tmpFile, '["not", "an", "object"]');
+    try {
+      await assert.rejects(loadConfigFile(tmpFile), /expected an object of options/);
+    } finally {
+      await fs.remove(tmpFile);
+    }
+  });
+});
+
+describe('parseCliArgs()', () => {
+  it('maps flags to config overrides', () => {
+    const cli = parseCliArgs([
+      '--base-url', 'https://example.edu/physics/projects/',
+      '--max-projects', '10',
+      '--require-tags', 'physics, shop',
+      '--tag-mode', 'all',
+      '--out', 'tmp/projects.json',
+      '--dry-run'
+    ]);
+
+    assert.deepEqual(cli.overrides, {
+      baseUrl: 'https://example.edu/physics/projects/',
+      maxProjects: 10,
+      tagFilter: { enabled: true, requiredTags: ['physics', 'shop'], mode: 'all' },
+      dataPath: 'tmp/projects.json',
+      dryRun: true
+    });
+  });
+
+  it('treats --max-projects all as no limit and empty --require-tags as no filter', () => {
+    const cli = parseCliArgs(['--max-projects', 'all', '--require-tags', '']);
+
+    assert.deepEqual(cli.overrides, { maxProjects: null, tagFilter: { enabled: false } });
+  });
+
+  it('maps the log flags to logging options', () => {
+    const cli = parseCliArgs(['--log-level', 'debug', '--log-format', 'json', '--log-file', 'logs/scrape.jsonl']);
+
+    assert.deepEqual(cli.overrides, { logging: { level: 'debug', format: 'json', file: 'logs/scrape.jsonl' } });
+    assert.deepEqual(validateConfig({ logging: { level: 'verbose' } }), [
+      'Invalid value for "logging.level": "verbose" must be one of: debug, info, warn, error, silent'
+    ]);
+  });
+
+  it('leaves bad numbers for validation to report', () => {
+    const cli = parseCliArgs(['--max-projects', 'lots']);
+
+    assert.match(validateConfig(cli.overrides)[0], /"maxProjects": "lots"/);
+  });
+
+  it('rejects unknown flags with usage help', () => {
+    assert.throws(() => parseCliArgs(['--bogus']), /Unknown option '--bogus'[\s\S]*Usage:/);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { sanitizeHtml, htmlToParagraphs, truncateText, buildExcerpt, countWords, readingTimeMinutes } from '../content.js';
+
+const sanitize = html => sanitizeHtml(cheerio.load(`<div id="body">${html}</div>`)('#body').get(0), 'https://example.edu/projects/lamp/');
+
+describe('sanitizeHtml()', () => {
+  it('keeps paragraphs, lists and links and drops scripts, images and attributes', () => {
+    assert.equal(
+      sanitize('<p class="x" onclick="steal()">Cut on the <strong>laser</strong><script>alert(1)</script></p><p><img src="a.jpg"></p><ul><li>Birch</li><li>LEDs</li></ul>'),
+      '<p>Cut on the <strong>laser</strong></p><ul><li>Birch</li><li>LEDs</li></ul>'
+    );
+  });
+
+  it('makes links absolute and unwraps unsafe ones', () => {
+    assert.equal(
+      sanitize('<p><a href="../chair/" target="_blank">Chair</a> and <a href="javascript:alert(1)">this</a></p>'),
+      '<p><a href="https://example.edu/projects/chair/" rel="nofollow noopener">Chair</a> and this</p>'
+    );
+  });
+
+  it('escapes text and turns headings and loose text into paragraphs', () => {
+    assert.equal(
+      sanitize('<h2>Notes &lt;v2&gt;</h2><div>Step one<br>Step "two"</div>'),
+      '<p>Notes &lt;v2&gt;</p><p>Step one<br>Step "two"</p>'
+    );
+  });
+});
+
+describe('htmlToParagraphs()', () => {
+  it('returns one entry per paragraph or list item, keeping line breaks', () => {
+    assert.deepEqual(htmlToParagraphs('<p>One<br>two</p><ul><li>Three</li><li><p>Four</p></li></ul>'), ['One\ntwo', 'Three', 'Four']);
+  });
+});
+
+describe('buildExcerpt()', () => {
+  const paragraphs = ['Photo: Jo', 'Jordan designed a flat-pack lamp and cut it on the laser cutter.', 'The shade slots together without glue.'];
+
+  it('starts at the first real paragraph and cuts at a word boundary', () => {
+    assert.equal(buildExcerpt(paragraphs, 80), 'Jordan designed a flat-pack lamp and cut it on the laser cutter. The shade…');
+  });
+
+  it('prefers the author\'s excerpt without the "read more" suffix', () => {
+    assert.equal(buildExcerpt(paragraphs, 80, 'A lamp from plywood. [&hellip;]'), 'A lamp from plywood.');
+    assert.equal(buildExcerpt(paragraphs, 80, 'A lamp from plywood. Continue reading →'), 'A lamp from plywood.');
+  });
+});
+
+describe('truncateText()', () => {
+  it('leaves short text alone and never exceeds the limit', () => {
+    assert.equal(truncateText('  Short   text ', 20), 'Short text');
+    assert.ok(truncateText('Supercalifragilisticexpialidocious', 10).length <= 10);
+  });
+});
+
+describe('countWords() and readingTimeMinutes()', () => {
+  it('counts words including contractions and class years', () => {
+    assert.equal(countWords('Jordan’s lamp, built in 2025 by Priya ’27 — done.'), 9);
+  });
+
+  it('rounds reading time to whole minutes, at least one', () => {
+    assert.equal(readingTimeMinutes(0, 200), 0);
+    assert.equal(readingTimeMinutes(40, 200), 1);
+    assert.equal(readingTimeMinutes(700, 200), 4);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { buildAtomFeed, buildJsonFeed } from '../feeds.js';
+
+const feed = {
+  title: 'Makerspace Projects',
+  description: 'New projects',
+  author: 'The Makerspace',
+  homeUrl: 'https://example.github.io/display/',
+  publicUrl: 'https://example.github.io/display/',
+  atomUrl: 'https://example.github.io/display/data/feed.xml',
+  jsonUrl: 'https://example.github.io/display/data/feed.json'
+};
+
+const projects = [
+  {
+    url: 'https://example.edu/projects/lamp/',
+    title: 'Lamp <v2> & "shade" | Williams College: Makerspace & FabLab',
+    authors: ['Jordan Lee', 'Casey Morgan'],
+    tags: ['Laser Cutting'],
+    description: 'A flat-pack lamp.',
+    contentHtml: '<p>A flat-pack lamp.</p>',
+    images: { main: 'https://example.edu/lamp.jpg', gallery: [], mirrored: { main: 'assets/images/projects/lamp/abc.webp' } },
+    media: [{ type: 'video', url: 'https://example.edu/lamp.mp4', mimeType: 'video/mp4' }],
+    dateCreated: '2025-03-04T15:00:00.000Z'
+  },
+  {
+    url: 'https://example.edu/projects/arm/',
+    title: 'Robot Arm',
+    tags: [],
+    images: { main: '', gallery: [] },
+    dateCreated: '',
+    dateScraped: '2025-01-01T00:00:00.000Z'
+  }
+];
+
+describe('buildAtomFeed()', () => {
+  it('writes escaped entries with authors, tags, image and dates', () => {
+    const xml = buildAtomFeed(projects, feed);
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    assert.match(xml, /^<\?xml version="1.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www.w3.org\/2005\/Atom"/);
+    assert.equal($('feed > updated').text(), '2025-03-04T15:00:00.000Z');
+    assert.equal($('entry').length, 2);
+
+    const $lamp = $('entry').first();
+    assert.equal($lamp.find('title').text(), 'Lamp <v2> & "shade"');
+    assert.deepEqual($lamp.find('author name').map((i, el) => $(el).text()).get(), ['Jordan Lee', 'Casey Morgan']);
+    assert.equal($lamp.find('category').attr('term'), 'Laser Cutting');
+    assert.equal($lamp.find('media\\:thumbnail').attr('url'), 'https://example.github.io/display/assets/images/projects/lamp/abc.webp');
+    assert.equal($lamp.find('published').text(), '2025-03-04T15:00:00.000Z');
+    assert.equal($lamp.find('content').text(), '<p>A flat-pack lamp.</p>');
+    assert.equal($lamp.find('link[rel="enclosure"]').attr('href'), 'https://example.edu/lamp.mp4');
+
+    const $arm = $('entry').last();
+    assert.equal($arm.find('published').length, 0);
+    assert.equal($arm.find('updated').text(), '2025-01-01T00:00:00.000Z');
+  });
+});
+
+describe('buildJsonFeed()', () => {
+  it('writes a JSON Feed 1.1 document', () => {
+    const data = buildJsonFeed(projects, feed);
+
+    assert.equal(data.version, 'https://jsonfeed.org/version/1.1');
+    assert.equal(data.feed_url, feed.jsonUrl);
+    assert.deepEqual(data.items[0], {
+      id: 'https://example.edu/projects/lamp/',
+      url: 'https://example.edu/projects/lamp/',
+      title: 'Lamp <v2> & "shade"',
+      content_html: '<p>A flat-pack lamp.</p>',
+      summary: 'A flat-pack lamp.',
+      image: 'https://example.github.io/display/assets/images/projects/lamp/abc.webp',
+      date_published: '2025-03-04T15:00:00.000Z',
+      authors: [{ name: 'Jordan Lee' }, { name: 'Casey Morgan' }],
+      tags: ['Laser Cutting'],
+      attachments: [{ url: 'https://example.edu/lamp.mp4', mime_type: 'video/mp4' }]
+    });
+    assert.deepEqual(data.items[1], {
+      id: 'https://example.edu/projects/arm/',
+      url: 'https://example.edu/projects/arm/',
+      title: 'Robot Arm',
+      content_text: 'https://example.edu/projects/arm/'
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import http from 'http';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Recorded pages, keyed by request path. Anything else gets the 404 page.
+// Tests may swap a route's file to simulate an edited post; restore it afterwards.
+const ROUTES = {
+  '/makerspace/projects/': { file: 'projects-page-1.html' },
+  '/makerspace/projects/page/2/': { file: 'projects-page-2.html' },
+  '/makerspace/projects/laser-cut-lamp/': { file: 'project-laser-cut-lamp.html' },
+  '/makerspace/projects/robot-arm/': { file: 'project-robot-arm.html' },
+  // Sends an ETag and answers a matching If-None-Match with 304 Not Modified
+  '/makerspace/projects/knitting-machine/': { file: 'project-knitting-machine.html', etag: '"knitting-v1"' },
+  '/makerspace/projects/solar-car/': { file: 'project-solar-car.html' },
+  '/makerspace/projects/cloudflare-blocked/': { file: 'cloudflare-challenge.html', status: 503 },
+  // Not linked from the listing; a real-looking page sent with 403 Forbidden
+  '/makerspace/projects/members-only/': { file: 'project-laser-cut-lamp.html', status: 403 },
+  // Not linked from the listing; answers with a 503 the first time, then the real page
+  '/makerspace/projects/flaky-lamp/': { file: 'project-laser-cut-lamp.html', failFirst: 1 },
+  // A second site for multi-site aggregation, reusing a project slug from the first
+  '/fablab/projects/': { file: 'partner-projects.html' },
+  '/fablab/projects/knitting-machine/': { file: 'project-knitting-machine.html' },
+  // WordPress REST API and RSS feed, with {{origin}} filled in so post links point at this server.
+  // The query string picks a page, so feed page 2 is past the end.
+  '/makerspace/wp-json/wp/v2/posts': { file: 'wp-posts.json', contentType: 'application/json', template: true },
+  '/makerspace/feed/': { file: 'rss-feed.xml', contentType: 'application/rss+xml; charset=UTF-8', template: true },
+  '/makerspace/feed/?paged=2': { file: 'not-found.html', status: 404 },
+  // Sitemap index with a posts sitemap; the taxonomy and user sitemaps it lists are never requested
+  '/makerspace/wp-sitemap.xml': { file: 'wp-sitemap.xml', contentType: 'application/xml', template: true },
+  '/makerspace/wp-sitemap-posts-post-1.xml': { file: 'wp-sitemap-posts.xml', contentType: 'application/xml', template: true },
+  // Stands in for Vimeo's oEmbed endpoint
+  '/oembed/vimeo': { file: 'vimeo-oembed.json', contentType: 'application/json' },
+  '/makerspace/wp-content/uploads/2025/03/lamp-finished.jpg': { file: 'photo-1200x900.jpg', contentType: 'image/jpeg' }
+};
+
+// Serve the fixtures on a random local port, recording every requested path
+// and the paths answered with 304 Not Modified
+export async function startFixtureServer(routes = ROUTES) {
+  const requests = [];
+  const notModified = [];
+  let origin;
+  const hits = {};
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname, search } = new URL(req.url, 'http://localhost');
+    requests.push(pathname);
+
+    const route = routes[pathname + search] || routes[pathname] || { file: 'not-found.html', status: 404 };
+    hits[pathname] = (hits[pathname] || 0) + 1;
+    if (hits[pathname] <= (route.failFirst || 0)) {
+      res.writeHead(503, { 'Content-Type': 'text/plain' });
+      res.end('Service Unavailable');
+      return;
+    }
+
+    if (route.etag && req.headers['if-none-match'] === route.etag) {
+      notModified.push(pathname);
+      res.writeHead(304, { 'ETag': route.etag });
+      res.end();
+      return;
+    }
+
+    let body = await fs.readFile(path.join(FIXTURES_DIR, route.file));
+    if (route.template) {
+      body = body.toString().replaceAll('{{origin}}', origin);
+    }
+
+    res.writeHead(route.status || 200, {
+      'Content-Type': route.contentType || 'text/html; charset=UTF-8',
+      ...(route.etag ? { 'ETag': route.etag } : {})
+    });
+    res.end(body);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    origin,
+    siteUrl: `${origin}/makerspace/`,
+    baseUrl: `${origin}/makerspace/projects/`,
+    routes,
+    requests,
+    notModified,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,99 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { CONFIG } from '../config.js';
+import { log, formatRecord } from '../logger.js';
+
+let tmpDir;
+const originalLogging = structuredClone(CONFIG.logging);
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'makerspace-logger-'));
+});
+
+after(async () => {
+  CONFIG.logging = originalLogging;
+  await fs.remove(tmpDir);
+});
+
+// Console output captured per test, as [method, line] pairs
+let lines;
+
+beforeEach(() => {
+  CONFIG.logging = { level: 'info', format: 'text', file: '' };
+  lines = [];
+  for (const method of ['log', 'warn', 'error']) {
+    mock.method(console, method, line => lines.push([method, line]));
+  }
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('log', () => {
+  it('skips records below logging.level', () => {
+    CONFIG.logging.level = 'warn';
+
+    log.debug('debug');
+    log.info('info');
+    log.warn('warn');
+    log.error('error');
+
+    assert.deepEqual(lines.map(([method]) => method), ['warn', 'error']);
+    assert.match(lines[0][1], /^\[WARN\] \d{4}-\d\d-\d\dT[\d:.]+Z - warn$/);
+  });
+
+  it('writes one JSON object per line with the fields, and errors as their message', () => {
+    CONFIG.logging.format = 'json';
+
+    log.warn('Attempt 1/3 failed', { event: 'fetch.retry', url: 'https://example.edu/', attempt: 1, durationMs: 12, httpStatus: undefined, error: new Error('timeout') });
+
+    const record = JSON.parse(lines[0][1]);
+    assert.equal(typeof record.time, 'string');
+    assert.deepEqual({ ...record, time: undefined }, {
+      time: undefined,
+      level: 'warn',
+      msg: 'Attempt 1/3 failed',
+      event: 'fetch.retry',
+      url: 'https://example.edu/',
+      attempt: 1,
+      durationMs: 12,
+      error: 'timeout'
+    });
+  });
+
+  it('appends JSON lines to logging.file whatever the console format', async () => {
+    CONFIG.logging.file = path.join(tmpDir, 'logs', 'scrape.jsonl');
+
+    log.info('Scraping page 1', { event: 'listing.page', page: 1 });
+    log.debug('not logged');
+    log.error('Scraping process failed', { event: 'scrape.failed', error: new Error('boom') });
+
+    assert.match(lines[0][1], /^\[INFO\] .* - Scraping page 1$/);
+    const records = (await fs.readFile(CONFIG.logging.file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(records.map(({ level, event, page, error }) => ({ level, event, page, error })), [
+      { level: 'info', event: 'listing.page', page: 1, error: undefined },
+      { level: 'error', event: 'scrape.failed', page: undefined, error: 'boom' }
+    ]);
+  });
+
+  it('logs nothing at level silent', () => {
+    CONFIG.logging.level = 'silent';
+
+    log.error('error');
+
+    assert.deepEqual(lines, []);
+  });
+});
+
+describe('formatRecord()', () => {
+  it('keeps only the level, time and message in text format', () => {
+    const record = { time: '2025-01-01T00:00:00.000Z', level: 'info', msg: 'Done', event: 'scrape.summary', errors: 0 };
+
+    assert.equal(formatRecord(record, 'text'), '[INFO] 2025-01-01T00:00:00.000Z - Done');
+    assert.equal(formatRecord(record, 'json'), JSON.stringify(record));
+  });
+});
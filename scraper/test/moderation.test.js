@@ -0,0 +1,146 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { CONFIG } from '../config.js';
+import {
+  partitionForModeration, recordPublished, loadDecisions, loadPending, savePending, approveProject, rejectProject
+} from '../moderation.js';
+import { main } from '../moderate.js';
+
+const project = (id, dateCreated = '') => ({
+  id,
+  url: `https://example.edu/projects/${id}/`,
+  title: `Project ${id}`,
+  tags: [],
+  images: { main: '', thumbnail: '', gallery: [] },
+  qrCode: `assets/qr-codes/${id}.png`,
+  dateCreated
+});
+
+let tmpDir;
+const originalPaths = {};
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'makerspace-moderation-'));
+  for (const key of ['dataPath', 'pendingPath', 'moderationPath', 'tagsPath', 'feedPath', 'jsonFeedPath', 'pagesPath']) {
+    originalPaths[key] = CONFIG[key];
+  }
+  CONFIG.dataPath = path.join(tmpDir, 'projects.json');
+  CONFIG.pendingPath = path.join(tmpDir, 'pending.json');
+  CONFIG.moderationPath = path.join(tmpDir, 'moderation.json');
+  CONFIG.tagsPath = path.join(tmpDir, 'tags.json');
+  CONFIG.feedPath = path.join(tmpDir, 'feed.xml');
+  CONFIG.jsonFeedPath = path.join(tmpDir, 'feed.json');
+  CONFIG.pagesPath = path.join(tmpDir, 'projects/');
+});
+
+after(async () => {
+  Object.assign(CONFIG, originalPaths);
+  await fs.remove(tmpDir);
+});
+
+beforeEach(async () => {
+  await fs.emptyDir(tmpDir);
+});
+
+describe('partitionForModeration()', () => {
+  const decisions = { approved: { approved: {} }, rejected: { rejected: {} } };
+  const previousData = { projects: [project('live')] };
+  const projects = [project('live'), project('approved'), project('rejected'), project('new')];
+  const ids = list => list.map(item => item.id);
+
+  it('holds back projects that are neither live nor approved', () => {
+    const result = partitionForModeration(projects, decisions, previousData);
+
+    assert.deepEqual(ids(result.published), ['live', 'approved']);
+    assert.deepEqual(ids(result.pending), ['new']);
+    assert.deepEqual(ids(result.rejected), ['rejected']);
+  });
+
+  it('still drops rejected projects when approval mode is off', () => {
+    const result = partitionForModeration(projects, decisions, previousData, { holdNew: false });
+
+    assert.deepEqual(ids(result.published), ['live', 'approved', 'new']);
+    assert.deepEqual(ids(result.pending), []);
+  });
+});
+
+describe('recordPublished()', () => {
+  it('records published projects as approved once', () => {
+    const decisions = { approved: { old: { title: 'Project old' } }, rejected: {} };
+
+    const added = recordPublished(decisions, [project('old'), project('live')]);
+
+    assert.deepEqual(added.map(item => item.id), ['live']);
+    assert.deepEqual(Object.keys(decisions.approved), ['old', 'live']);
+    assert.equal(decisions.approved.live.url, 'https://example.edu/projects/live/');
+    // Approved projects are published even when they weren't in the previous projects.json
+    assert.deepEqual(partitionForModeration([project('live')], decisions, { projects: [] }).published.map(item => item.id), ['live']);
+  });
+});
+
+describe('approveProject()', () => {
+  it('moves a pending project into projects.json, newest first, and records the decision', async () => {
+    await fs.writeJson(CONFIG.dataPath, { schemaVersion: 1, projects: [project('old', '2024-01-01T00:00:00.000Z')] });
+    await savePending([project('fresh', '2025-01-01T00:00:00.000Z'), project('other')]);
+
+    await approveProject('fresh');
+
+    const data = await fs.readJson(CONFIG.dataPath);
+    assert.deepEqual(data.projects.map(item => item.id), ['fresh', 'old']);
+    assert.equal(data.totalProjects, 2);
+    assert.equal(data.schemaVersion, 1);
+    assert.deepEqual((await loadPending()).map(item => item.id), ['other']);
+    assert.equal((await loadDecisions()).approved.fresh.title, 'Project fresh');
+  });
+
+  it('fails for an unknown ID', async () => {
+    await assert.rejects(approveProject('missing'), /No pending project with ID "missing"/);
+  });
+
+  it('refuses a pending record that does not match the schema', async () => {
+    const { qrCode, ...broken } = project('broken');
+    await savePending([broken]);
+
+    await assert.rejects(approveProject('broken'), /"broken" is not a valid project record: .*qrCode/);
+    assert.deepEqual((await loadDecisions()).approved, {});
+    assert.equal(await fs.pathExists(CONFIG.dataPath), false);
+  });
+
+  it('rebuilds the project page, feeds and tag index when approved from the command line', async () => {
+    await savePending([{ ...project('fresh', '2025-01-01T00:00:00.000Z'), tags: ['robotics'] }]);
+
+    assert.equal(await main(['approve', 'fresh']), 0);
+
+    assert.equal(await fs.pathExists(path.join(CONFIG.pagesPath, 'fresh', 'index.html')), true);
+    assert.deepEqual((await fs.readJson(CONFIG.jsonFeedPath)).items.map(item => item.title), ['Project fresh']);
+    assert.deepEqual((await fs.readJson(CONFIG.tagsPath)).tags.map(tag => tag.name), ['robotics']);
+  });
+});
+
+describe('rejectProject()', () => {
+  it('removes the project from pending.json and projects.json and records the decision', async () => {
+    await fs.writeJson(CONFIG.dataPath, { projects: [project('live')] });
+    await savePending([project('spam')]);
+
+    await rejectProject('spam');
+    await rejectProject('live');
+
+    assert.deepEqual(await loadPending(), []);
+    assert.deepEqual((await fs.readJson(CONFIG.dataPath)).projects, []);
+    assert.deepEqual(Object.keys((await loadDecisions()).rejected), ['spam', 'live']);
+  });
+
+  it('can be reversed by approving', async () => {
+    await savePending([project('maybe')]);
+    await rejectProject('maybe');
+
+    await approveProject('maybe');
+
+    const decisions = await loadDecisions();
+    assert.deepEqual(Object.keys(decisions.approved), ['maybe']);
+    assert.deepEqual(decisions.rejected, {});
+  });
+});
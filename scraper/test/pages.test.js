@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderProjectPage } from '../pages.js';
+
+const options = { siteTitle: 'Makerspace Projects', rootPath: '../../' };
+
+const project = {
+  url: 'https://example.edu/projects/lamp/',
+  title: 'Lamp <script>alert(1)</script> | Williams College: Makerspace & FabLab',
+  authors: ['Jordan Lee', 'Casey Morgan', 'Priya Shah'],
+  tags: ['Laser Cutting'],
+  description: 'A flat-pack lamp.',
+  contentHtml: '<p>A flat-pack <a href="https://example.edu/" rel="nofollow noopener">lamp</a>.</p>',
+  images: {
+    main: 'https://example.edu/lamp.jpg',
+    gallery: ['https://example.edu/shade.jpg'],
+    mirrored: { main: 'assets/images/projects/lamp/abc.webp', gallery: ['assets/images/projects/lamp/def.webp'] }
+  },
+  media: [{ type: 'embed', provider: 'youtube', url: 'https://www.youtube.com/watch?v=aBcD3fGh1jK' }],
+  dateCreated: '2025-03-04T15:00:00.000Z'
+};
+
+describe('renderProjectPage()', () => {
+  it('shows the title, makers, date, tags, body and a link to the post', () => {
+    const html = renderProjectPage(project, options);
+
+    assert.match(html, /<h1>Lamp &lt;script&gt;alert\(1\)&lt;\/script&gt;<\/h1>/);
+    assert.doesNotMatch(html, /<script>/);
+    assert.match(html, /By Jordan Lee, Casey Morgan and Priya Shah · <time datetime="2025-03-04T15:00:00.000Z">March 4, 2025<\/time>/);
+    assert.match(html, /<li>Laser Cutting<\/li>/);
+    assert.match(html, /<p>A flat-pack <a href="https:\/\/example.edu\/" rel="nofollow noopener">lamp<\/a>.<\/p>/);
+    assert.match(html, /<a class="original" href="https:\/\/example.edu\/projects\/lamp\/">Read the original post<\/a>/);
+    assert.match(html, /Watch the video on YouTube/);
+  });
+
+  it('uses local image copies relative to the site root', () => {
+    const html = renderProjectPage(project, options);
+
+    assert.match(html, /<img class="main-image" src="..\/..\/assets\/images\/projects\/lamp\/abc.webp"/);
+    assert.match(html, /<img src="..\/..\/assets\/images\/projects\/lamp\/def.webp" alt="" loading="lazy">/);
+  });
+
+  it('plays a video file in place of the main image and falls back to the description', () => {
+    const html = renderProjectPage({
+      ...project,
+      contentHtml: '',
+      images: { main: 'https://example.edu/lamp.jpg', gallery: [] },
+      media: [{ type: 'video', url: 'https://example.edu/lamp.mp4', mimeType: 'video/mp4', poster: '' }]
+    }, options);
+
+    assert.match(html, /<video class="main-image" controls muted playsinline preload="metadata" poster="https:\/\/example.edu\/lamp.jpg"><source src="https:\/\/example.edu\/lamp.mp4" type="video\/mp4"><\/video>/);
+    assert.match(html, /<p>A flat-pack lamp.<\/p>/);
+  });
+});
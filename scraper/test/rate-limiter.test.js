@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, mapWithConcurrency } from '../rate-limiter.js';
+
+// A clock that only moves when the limiter sleeps, recording each wait
+function fakeClock(startMs = 1000) {
+  const clock = { time: startMs, waits: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async ms => {
+    clock.waits.push(ms);
+  };
+  return clock;
+}
+
+describe('RateLimiter', () => {
+  it('spaces requests by the configured rate', async () => {
+    const clock = fakeClock();
+    const limiter = new RateLimiter({ requestsPerSecond: 20, now: clock.now, sleep: clock.sleep });
+
+    await Promise.all([limiter.wait(), limiter.wait(), limiter.wait()]);
+
+    // Slots at 0, 50 and 100ms; the first doesn't wait
+    assert.deepEqual(clock.waits, [50, 100]);
+  });
+
+  it('lets the first request through immediately', async () => {
+    const clock = fakeClock();
+    const limiter = new RateLimiter({ requestsPerSecond: 1, now: clock.now, sleep: clock.sleep });
+
+    await limiter.wait();
+
+    assert.deepEqual(clock.waits, []);
+  });
+
+  it('does not wait once the interval has already passed', async () => {
+    const clock = fakeClock();
+    const limiter = new RateLimiter({ requestsPerSecond: 10, now: clock.now, sleep: clock.sleep });
+
+    await limiter.wait();
+    clock.time += 250;
+    await limiter.wait();
+    await limiter.wait();
+
+    assert.deepEqual(clock.waits, [100]);
+  });
+
+  it('adds up to jitterMs to each wait', async () => {
+    const clock = fakeClock();
+    const limiter = new RateLimiter({ requestsPerSecond: 10, jitterMs: 20, now: clock.now, sleep: clock.sleep });
+
+    await Promise.all([limiter.wait(), limiter.wait(), limiter.wait()]);
+
+    assert.equal(clock.waits.length, 3);
+    clock.waits.forEach((ms, index) => {
+      assert.ok(ms >= index * 100 && ms < index * 100 + 20, `wait ${index} was ${ms}ms`);
+    });
+  });
+});
+
+describe('mapWithConcurrency()', () => {
+  it('keeps results in input order when workers finish out of order', async () => {
+    const delays = [30, 5, 20, 0];
+    const results = await mapWithConcurrency(delays, 2, async (delay, index) => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return index;
+    });
+
+    assert.deepEqual(results, [0, 1, 2, 3]);
+  });
+
+  it('never runs more than the limit at once', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    await mapWithConcurrency(Array.from({ length: 10 }), 3, async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    });
+
+    assert.equal(maxRunning, 3);
+  });
+
+  it('handles an empty list', async () => {
+    assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  });
+});
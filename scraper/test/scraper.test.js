@@ -0,0 +1,1221 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import MakerspaceScraper, { CONFIG } from '../scraper.js';
+import { resolveSites } from '../config.js';
+import { SCHEMA_VERSION } from '../schema.js';
+import { startFixtureServer } from './fixture-server.js';
+
+let server;
+let tmpDir;
+
+before(async () => {
+  server = await startFixtureServer();
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'makerspace-scraper-'));
+
+  // Point the scraper at the fixture server and keep everything local and fast
+  CONFIG.baseUrl = server.baseUrl;
+  CONFIG.siteUrl = server.siteUrl;
+  CONFIG.dataPath = path.join(tmpDir, 'data/projects.json');
+  CONFIG.diagnosticsPath = path.join(tmpDir, 'data/scrape-diagnostics.json');
+  CONFIG.changesPath = path.join(tmpDir, 'data/changes.json');
+  CONFIG.changesMarkdownPath = path.join(tmpDir, 'data/changes.md');
+  CONFIG.reportPath = path.join(tmpDir, 'data/scrape-report.json');
+  CONFIG.tagsPath = path.join(tmpDir, 'data/tags.json');
+  CONFIG.feedPath = path.join(tmpDir, 'data/feed.xml');
+  CONFIG.jsonFeedPath = path.join(tmpDir, 'data/feed.json');
+  CONFIG.overridesPath = path.join(tmpDir, 'data/overrides.json');
+  CONFIG.pendingPath = path.join(tmpDir, 'data/pending.json');
+  CONFIG.moderationPath = path.join(tmpDir, 'data/moderation.json');
+  CONFIG.qrCodePath = path.join(tmpDir, 'qr-codes/');
+  CONFIG.pagesPath = path.join(tmpDir, 'projects/');
+  CONFIG.images.outputPath = path.join(tmpDir, 'images/');
+  CONFIG.maxProjects = null;
+  CONFIG.delays = { betweenPages: 0 };
+  CONFIG.concurrency = { maxConcurrent: 3, requestsPerSecond: 1000, jitterMs: 0 };
+  CONFIG.retry = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5 };
+  CONFIG.fetch.strategy = 'static';
+  CONFIG.fetch.connectivityCheckUrl = '';
+  CONFIG.source.type = 'html';
+  CONFIG.media.oembed.vimeo = `${server.origin}/oembed/vimeo`;
+});
+
+after(async () => {
+  await server.close();
+  await fs.remove(tmpDir);
+});
+
+describe('discoverProjects()', () => {
+  it('collects project URLs across pagination pages in order', async () => {
+    const scraper = new MakerspaceScraper();
+    const urls = await scraper.discoverProjects();
+
+    assert.deepEqual(urls, [
+      `${server.baseUrl}laser-cut-lamp/`,
+      `${server.baseUrl}robot-arm/`,
+      `${server.baseUrl}knitting-machine/`,
+      `${server.baseUrl}cloudflare-blocked/`,
+      `${server.baseUrl}deleted-project/`
+    ]);
+    assert.equal(scraper.stats.projectsFound, 5);
+  });
+
+  it('stops after the last page without requesting further pages', async () => {
+    server.requests.length = 0;
+    await new MakerspaceScraper().discoverProjects();
+
+    assert.deepEqual(server.requests, ['/makerspace/projects/', '/makerspace/projects/page/2/']);
+  });
+
+  it('honours maxProjects', async () => {
+    CONFIG.maxProjects = 2;
+    try {
+      const urls = await new MakerspaceScraper().discoverProjects();
+      assert.equal(urls.length, 2);
+    } finally {
+      CONFIG.maxProjects = null;
+    }
+  });
+});
+
+describe('scrapeProject()', () => {
+  it('extracts title, makers, tags and the first non-banner content image', async () => {
+    const scraper = new MakerspaceScraper();
+    const project = await scraper.scrapeProject(`${server.baseUrl}laser-cut-lamp/`);
+
+    assert.equal(project.id, 'laser-cut-lamp');
+    assert.equal(project.title, 'Laser Cut Lamp');
+    assert.deepEqual(project.authors, ['Jordan Lee', 'Casey Morgan', 'Priya Shah']);
+    assert.equal(project.author, 'Jordan Lee, Casey Morgan, Priya Shah');
+    assert.equal(project.images.main, `${server.origin}/makerspace/wp-content/uploads/2025/03/lamp-finished.jpg`);
+    assert.deepEqual(project.tags, ['makerspace', 'laser cutting', 'Fab Lab']);
+    assert.match(project.content, /flat-pack lamp/);
+    assert.match(project.fetchMeta.contentHash, /^[0-9a-f]{64}$/);
+    assert.equal(scraper.stats.projectsScraped, 1);
+  });
+
+  it('keeps the post body as sanitized HTML, plain text and an excerpt', async () => {
+    const project = await new MakerspaceScraper().scrapeProject(`${server.baseUrl}laser-cut-lamp/`);
+
+    assert.equal(project.contentHtml.split('</p>').length - 1, 3);
+    assert.doesNotMatch(project.contentHtml, /<img/);
+    assert.equal(project.content.split('\n\n')[1], 'The shade slots together without glue, and an LED strip runs off USB power.');
+    assert.match(project.description, /^Jordan designed a flat-pack lamp/);
+    assert.ok(project.description.length <= CONFIG.content.excerptLength);
+    assert.equal(project.wordCount, 43);
+    assert.equal(project.readingTimeMinutes, 1);
+  });
+
+  it('generates a QR code PNG file and references it by path', async () => {
+    const project = await new MakerspaceScraper().scrapeProject(`${server.baseUrl}knitting-machine/`);
+
+    assert.equal(project.qrCode, 'assets/qr-codes/knitting-machine.png');
+    assert.ok(await fs.pathExists(path.join(CONFIG.qrCodePath, 'knitting-machine.png')));
+  });
+
+  it('falls back to data-src for lazy-loaded images', async () => {
+    const project = await new MakerspaceScraper().scrapeProject(`${server.baseUrl}robot-arm/`);
+
+    assert.equal(project.images.main, `${server.origin}/makerspace/wp-content/uploads/2025/02/robot-arm.jpg`);
+    assert.deepEqual(project.tags, ['3D printing', 'robotics']);
+  });
+
+  it('picks the best-scoring image as main and ranks the runners-up into the gallery', async () => {
+    const project = await new MakerspaceScraper().scrapeProject(`${server.baseUrl}solar-car/`);
+    const uploads = `${server.origin}/makerspace/wp-content/uploads/2025/04/`;
+
+    assert.equal(project.images.main, `${uploads}solar-car.jpg`);
+    assert.deepEqual(project.images.gallery, [`${uploads}chassis.jpg`, `${uploads}wiring-diagram-1200x200.png`]);
+  });
+
+  it('retries a transient server error and succeeds', async () => {
+    const scraper = new MakerspaceScraper();
+    const url = `${server.baseUrl}flaky-lamp/`;
+    const project = await scraper.scrapeProject(url);
+
+    assert.equal(project.id, 'flaky-lamp');
+    const record = scraper.urlReport.get(url);
+    assert.equal(record.status, 'ok');
+    assert.equal(record.attempts, 2);
+    assert.deepEqual(record.history.map(attempt => attempt.httpStatus), [503]);
+  });
+
+  it('returns null and counts an error for a Cloudflare challenge page after retrying', async () => {
+    const scraper = new MakerspaceScraper();
+    const url = `${server.baseUrl}cloudflare-blocked/`;
+    const project = await scraper.scrapeProject(url);
+
+    assert.equal(project, null);
+    assert.equal(scraper.stats.errors, 1);
+    const record = scraper.urlReport.get(url);
+    assert.equal(record.status, 'failed');
+    assert.equal(record.reason, 'challenge');
+    assert.equal(record.attempts, 3);
+  });
+
+  it('returns null and counts an error for a 404 page without retrying', async () => {
+    const scraper = new MakerspaceScraper();
+    const url = `${server.baseUrl}deleted-project/`;
+    const project = await scraper.scrapeProject(url);
+
+    assert.equal(project, null);
+    assert.equal(scraper.stats.errors, 1);
+    const record = scraper.urlReport.get(url);
+    assert.equal(record.status, 'not-found');
+    assert.equal(record.attempts, 1);
+  });
+
+  it('does not parse the body of a 403 response as the project', async () => {
+    const scraper = new MakerspaceScraper();
+    const url = `${server.baseUrl}members-only/`;
+    const project = await scraper.scrapeProject(url);
+
+    assert.equal(project, null);
+    const record = scraper.urlReport.get(url);
+    assert.equal(record.reason, 'http-error');
+    assert.equal(record.httpStatus, 403);
+    assert.equal(record.attempts, 1);
+  });
+});
+
+describe('loadInBrowser()', () => {
+  // Stands in for a puppeteer page that answered with `status`
+  const fakePage = (status, html = '<html><body><h1>Lamp</h1></body></html>') => ({
+    goto: async () => ({ status: () => status, headers: () => ({}) }),
+    waitForSelector: async () => {},
+    content: async () => html
+  });
+
+  it('classifies error statuses like the static fetch does', async () => {
+    const scraper = new MakerspaceScraper();
+    const url = `${server.baseUrl}laser-cut-lamp/`;
+
+    await assert.rejects(scraper.loadInBrowser(fakePage(403), url, 'body'), { reason: 'http-error', retryable: false });
+    await assert.rejects(scraper.loadInBrowser(fakePage(429), url, 'body'), { reason: 'server-error', retryable: true });
+    await assert.rejects(scraper.loadInBrowser(fakePage(404), url, 'body'), { reason: 'not-found', retryable: false });
+    assert.equal((await scraper.loadInBrowser(fakePage(200), url, 'body')).$('h1').text(), 'Lamp');
+  });
+});
+
+describe('acquirePage()', () => {
+  it('retries a browser launch that failed', async () => {
+    const scraper = new MakerspaceScraper();
+    let launches = 0;
+    scraper.initBrowser = async () => {
+      launches++;
+      if (launches === 1) {
+        throw new Error('Chromium not found');
+      }
+      scraper.idlePages.push('page');
+    };
+
+    await assert.rejects(scraper.acquirePage(), /Chromium not found/);
+    assert.equal(await scraper.acquirePage(), 'page');
+    assert.equal(launches, 2);
+  });
+
+  it('frees the pool slot when opening a page fails', async () => {
+    const originalConcurrency = { ...CONFIG.concurrency };
+    CONFIG.concurrency.maxConcurrent = 1;
+    try {
+      const scraper = new MakerspaceScraper();
+      scraper.initBrowser = async () => {};
+      scraper.createPage = async () => {
+        throw new Error('Target closed');
+      };
+
+      await assert.rejects(scraper.acquirePage(), /Target closed/);
+      assert.equal(scraper.pageCount, 0);
+
+      scraper.createPage = async () => 'page';
+      assert.equal(await scraper.acquirePage(), 'page');
+    } finally {
+      CONFIG.concurrency = originalConcurrency;
+    }
+  });
+});
+
+describe('source adapters', () => {
+  it('maps WordPress REST API posts to projects, skipping posts outside /projects/', async () => {
+    const scraper = new MakerspaceScraper();
+    const entries = await scraper.discoverFromWpApi();
+
+    assert.deepEqual(entries.map(entry => entry.url), [`${server.baseUrl}laser-cut-lamp/`]);
+    const { project } = entries[0];
+    assert.equal(project.id, 'laser-cut-lamp');
+    assert.equal(project.title, 'Laser Cut Lamp');
+    // The posting account is skipped in favour of the credits line
+    assert.deepEqual(project.authors, ['Jordan Lee', 'Casey Morgan']);
+    assert.deepEqual(project.tags, ['makerspace', 'Laser Cutting & Engraving']);
+    // The featured image wins over images in the post
+    assert.equal(project.images.main, `${server.origin}/makerspace/wp-content/uploads/2025/03/lamp-finished.jpg`);
+    assert.deepEqual(project.images.gallery, [`${server.origin}/makerspace/wp-content/uploads/2025/03/lamp-detail.jpg`]);
+    assert.equal(project.dateCreated, '2025-03-04T15:00:00.000Z');
+    assert.equal(project.description, 'A flat-pack lamp cut from birch plywood – no glue needed.');
+    assert.deepEqual(project.media.map(item => [item.type, item.provider, item.url]), [
+      ['embed', 'youtube', 'https://www.youtube.com/watch?v=aBcD3fGh1jK']
+    ]);
+    assert.equal(project.fetchMeta.lastModified, '2025-03-06T09:30:00');
+    assert.equal(scraper.stats.projectsFound, 1);
+  });
+
+  it('maps RSS items to projects and stops at the first missing feed page', async () => {
+    server.requests.length = 0;
+    const entries = await new MakerspaceScraper().discoverFromRss();
+
+    assert.deepEqual(entries.map(entry => entry.url), [`${server.baseUrl}knitting-machine/`]);
+    const { project } = entries[0];
+    assert.equal(project.title, 'Knitting Machine Hack');
+    assert.deepEqual(project.authors, ['Riley Chen']);
+    assert.deepEqual(project.tags, ['Projects', 'makerspace', 'textiles']);
+    assert.equal(project.images.main, `${server.origin}/makerspace/wp-content/uploads/2025/01/knitting-machine.jpg`);
+    assert.equal(project.dateCreated, '2025-01-20T14:30:00.000Z');
+    assert.equal(project.description, 'A 1980s knitting machine that takes patterns from a laptop.');
+    assert.deepEqual(project.media.map(item => [item.type, item.mimeType, item.poster]), [
+      ['video', 'video/mp4', `${server.origin}/makerspace/wp-content/uploads/2025/01/knitting-poster.jpg`]
+    ]);
+    assert.deepEqual(server.requests, ['/makerspace/feed/', '/makerspace/feed/']);
+  });
+
+  it('keeps only posts under baseUrl, whatever its path', async () => {
+    CONFIG.baseUrl = `${server.origin}/makerspace/news/`;
+    try {
+      const scraper = new MakerspaceScraper();
+      const apiEntries = await scraper.discoverFromWpApi();
+      const rssEntries = await scraper.discoverFromRss();
+
+      assert.deepEqual(apiEntries.map(entry => entry.project.id), ['spring-hours']);
+      assert.deepEqual(rssEntries.map(entry => entry.project.id), ['spring-hours']);
+    } finally {
+      CONFIG.baseUrl = server.baseUrl;
+    }
+  });
+
+  it('gives the same titles as the page scraper, without the site name', async () => {
+    const scraper = new MakerspaceScraper();
+    const [apiEntry] = await scraper.discoverFromWpApi();
+    const [rssEntry] = await scraper.discoverFromRss();
+
+    assert.equal(apiEntry.project.title, (await scraper.scrapeProject(`${server.baseUrl}laser-cut-lamp/`)).title);
+    assert.equal(rssEntry.project.title, (await scraper.scrapeProject(`${server.baseUrl}knitting-machine/`)).title);
+  });
+
+  it('does not report a title saved with the site name as modified', () => {
+    const scraper = new MakerspaceScraper();
+    const project = { id: 'lamp', url: 'https://example.edu/projects/lamp/', title: 'Laser Cut Lamp', tags: [], images: {} };
+    scraper.projects = [project];
+
+    const changes = scraper.computeChanges({ projects: [{ ...project, title: 'Laser Cut Lamp | Williams College: Makerspace & FabLab' }] });
+
+    assert.deepEqual(changes.summary, { added: 0, removed: 0, modified: 0, unchanged: 1 });
+  });
+});
+
+describe('discoverFromSitemap()', () => {
+  const postsRoute = '/makerspace/wp-sitemap-posts-post-1.xml';
+
+  afterEach(() => {
+    server.routes[postsRoute].file = 'wp-sitemap-posts.xml';
+    CONFIG.source.type = 'html';
+  });
+
+  it('follows the sitemap index to post sitemaps and keeps only project posts', async () => {
+    server.requests.length = 0;
+    const scraper = new MakerspaceScraper();
+    const entries = await scraper.discoverFromSitemap();
+
+    // No listing page, pagination, other sections or duplicates
+    assert.deepEqual(entries, [
+      { url: `${server.baseUrl}laser-cut-lamp/`, lastmod: '2025-03-06T09:30:00+00:00' },
+      { url: `${server.baseUrl}knitting-machine/`, lastmod: '2025-01-21T08:00:00+00:00' }
+    ]);
+    assert.deepEqual(server.requests, ['/makerspace/wp-sitemap.xml', postsRoute]);
+    assert.equal(scraper.stats.projectsFound, 2);
+  });
+
+  it('reuses projects whose lastmod is unchanged without requesting their pages', async () => {
+    await fs.remove(CONFIG.dataPath);
+    CONFIG.source.type = 'sitemap';
+    await new MakerspaceScraper().scrape();
+    const lampPage = '/makerspace/projects/laser-cut-lamp/';
+
+    server.requests.length = 0;
+    const unchanged = new MakerspaceScraper();
+    await unchanged.scrape();
+
+    assert.equal(unchanged.stats.projectsReused, 2);
+    assert.equal(server.requests.filter(pathname => pathname.startsWith('/makerspace/projects/')).length, 0);
+
+    server.routes[postsRoute].file = 'wp-sitemap-posts-updated.xml';
+    server.requests.length = 0;
+    const updated = new MakerspaceScraper();
+    await updated.scrape();
+
+    assert.equal(updated.stats.projectsScraped, 1);
+    assert.deepEqual(server.requests.filter(pathname => pathname.startsWith('/makerspace/projects/')), [lampPage]);
+    const lamp = (await fs.readJson(CONFIG.dataPath)).projects.find(project => project.id === 'laser-cut-lamp');
+    assert.equal(lamp.fetchMeta.lastmod, '2025-05-01T10:00:00+00:00');
+  });
+});
+
+describe('findMedia()', () => {
+  it('records player iframes and oEmbed links with posters', async () => {
+    const project = await new MakerspaceScraper().scrapeProject(`${server.baseUrl}robot-arm/`);
+
+    assert.deepEqual(project.media.map(item => [item.type, item.provider, item.url, item.poster]), [
+      ['embed', 'youtube', 'https://www.youtube.com/watch?v=aBcD3fGh1jK', 'https://i.ytimg.com/vi/aBcD3fGh1jK/hqdefault.jpg'],
+      ['embed', 'vimeo', 'https://vimeo.com/76979871', 'https://i.vimeocdn.com/video/452001751-640.jpg']
+    ]);
+    assert.equal(project.media[1].embedUrl, 'https://player.vimeo.com/video/76979871');
+    assert.doesNotMatch(project.contentHtml, /iframe/);
+  });
+
+  it('picks a playable <video> source and keeps its poster', async () => {
+    const project = await new MakerspaceScraper().scrapeProject(`${server.baseUrl}knitting-machine/`);
+
+    assert.deepEqual(project.media, [{
+      type: 'video',
+      provider: 'file',
+      url: `${server.origin}/makerspace/wp-content/uploads/2025/01/knitting-demo.mp4`,
+      embedUrl: '',
+      mimeType: 'video/mp4',
+      poster: `${server.origin}/makerspace/wp-content/uploads/2025/01/knitting-poster.jpg`
+    }]);
+  });
+
+  it('skips a <video> with a malformed src or poster instead of failing the post', () => {
+    const scraper = new MakerspaceScraper();
+    const pageUrl = `${server.baseUrl}laser-cut-lamp/`;
+    const $ = scraper.loadPostContent(
+      '<video src="http://[bad"></video>' +
+      '<video src="lamp-demo.mp4" poster="http://[bad"></video>' +
+      '<p><img src="http://[bad" alt="Broken"></p>'
+    );
+
+    assert.deepEqual(scraper.findMedia($, $('.entry-content').get(0), pageUrl), [{
+      type: 'video',
+      provider: 'file',
+      url: `${pageUrl}lamp-demo.mp4`,
+      embedUrl: '',
+      mimeType: 'video/mp4',
+      poster: ''
+    }]);
+    assert.deepEqual(scraper.findImageCandidates($, pageUrl), []);
+  });
+
+  it('ignores links to pages that are not videos', () => {
+    const scraper = new MakerspaceScraper();
+    assert.equal(scraper.describeEmbed('https://example.edu/makerspace/', server.baseUrl, { knownProvidersOnly: true }), null);
+    assert.equal(scraper.describeEmbed('https://youtu.be/aBcD3fGh1jK').embedUrl, 'https://www.youtube-nocookie.com/embed/aBcD3fGh1jK');
+  });
+});
+
+describe('extractAuthors()', () => {
+  it('falls back from JSON-LD to the byline, skipping poster accounts', async () => {
+    const scraper = new MakerspaceScraper();
+    const knitting = await scraper.scrapeProject(`${server.baseUrl}knitting-machine/`);
+    const robotArm = await scraper.scrapeProject(`${server.baseUrl}robot-arm/`);
+
+    assert.deepEqual(knitting.authors, ['Riley Chen']);
+    assert.deepEqual(robotArm.authors, ['Sam Patel']);
+  });
+
+  it('splits credit lines into names', () => {
+    const scraper = new MakerspaceScraper();
+
+    assert.deepEqual(scraper.splitAuthorNames('By Ana Ruiz (2026), Ben Okafor, & Admin.'), ['Ana Ruiz', 'Ben Okafor']);
+    assert.deepEqual(scraper.splitAuthorNames('the end of the semester'), []);
+    assert.deepEqual(scraper.splitAuthorNames('Ana de la Cruz and Lars van Dijk'), ['Ana de la Cruz', 'Lars van Dijk']);
+    assert.deepEqual(scraper.splitAuthorNames('Jordan finished the frame, Casey wired it'), []);
+  });
+
+  it('reads labelled credit lines but not prose that starts with "By"', () => {
+    const scraper = new MakerspaceScraper();
+    const prose = scraper.loadPostContent('<p>By March, Jordan finished the frame and Casey wired it.</p>');
+    const labelled = scraper.loadPostContent('<p>By March, Jordan finished the frame.</p><p>Made by Jordan Lee and Casey Morgan</p>');
+    const longLine = scraper.loadPostContent(`<p>Team: Jordan Lee. ${'The frame took most of the term to build. '.repeat(4)}</p>`);
+
+    assert.deepEqual(scraper.extractAuthors(prose), []);
+    assert.deepEqual(scraper.extractAuthors(prose, ['Riley Chen']), ['Riley Chen']);
+    assert.deepEqual(scraper.extractAuthors(labelled), ['Jordan Lee', 'Casey Morgan']);
+    assert.deepEqual(scraper.extractAuthors(longLine), []);
+  });
+});
+
+describe('extractPublishDate()', () => {
+  it('reads <time datetime>, article:published_time, JSON-LD and visible text as ISO 8601', async () => {
+    const scraper = new MakerspaceScraper();
+    const dates = {};
+    for (const slug of ['robot-arm', 'solar-car', 'knitting-machine', 'laser-cut-lamp']) {
+      dates[slug] = (await scraper.scrapeProject(`${server.baseUrl}${slug}/`)).dateCreated;
+    }
+
+    assert.deepEqual(dates, {
+      'robot-arm': '2025-02-12T14:15:00.000Z',
+      'solar-car': '2025-04-02T16:00:00.000Z',
+      'knitting-machine': '2025-01-20T14:30:00.000Z',
+      'laser-cut-lamp': '2025-03-04T00:00:00.000Z'
+    });
+  });
+});
+
+describe('normalizeDate()', () => {
+  const scraper = new MakerspaceScraper();
+
+  it('picks a date out of surrounding text', () => {
+    assert.equal(scraper.normalizeDate('Posted on 4th March 2025 by Jordan', { fromText: true }), '2025-03-04T00:00:00.000Z');
+    assert.equal(scraper.normalizeDate('Updated: Sept. 9, 2024', { fromText: true }), '2024-09-09T00:00:00.000Z');
+  });
+
+  it('returns an empty string for garbage and implausible dates', () => {
+    assert.equal(scraper.normalizeDate('Leave a comment', { fromText: true }), '');
+    assert.equal(scraper.normalizeDate('not a date'), '');
+    assert.equal(scraper.normalizeDate('1970-01-01T00:00:00Z'), '');
+    assert.equal(scraper.normalizeDate('2999-01-01'), '');
+  });
+});
+
+describe('sortByPublishDate()', () => {
+  it('sorts newest first and keeps undated projects last in their original order', () => {
+    const projects = [
+      { id: 'undated-a', dateCreated: '' },
+      { id: 'old', dateCreated: '2024-01-01T00:00:00.000Z' },
+      { id: 'undated-b', dateCreated: '' },
+      { id: 'new', dateCreated: '2025-01-01T00:00:00.000Z' }
+    ];
+
+    assert.deepEqual(
+      new MakerspaceScraper().sortByPublishDate(projects).map(project => project.id),
+      ['new', 'old', 'undated-a', 'undated-b']
+    );
+  });
+});
+
+describe('generateQRCode()', () => {
+  const originalQrCode = structuredClone(CONFIG.qrCode);
+
+  beforeEach(() => {
+    CONFIG.qrCode = structuredClone(originalQrCode);
+  });
+
+  after(() => {
+    CONFIG.qrCode = originalQrCode;
+  });
+
+  it('embeds a data URL with embed: inline', async () => {
+    CONFIG.qrCode.embed = 'inline';
+
+    assert.match(await new MakerspaceScraper().generateQRCode('https://example.edu/lamp/', 'lamp'), /^data:image\/png;base64,/);
+  });
+
+  it('writes SVG in the configured colors with a centered logo', async () => {
+    Object.assign(CONFIG.qrCode, {
+      format: 'svg',
+      color: { dark: '#500082', light: '#FFFFFF' },
+      errorCorrectionLevel: 'H',
+      logo: path.join(tmpDir, 'logo.png')
+    });
+    await sharp({ create: { width: 40, height: 40, channels: 3, background: '#FFBE0A' } }).png().toFile(CONFIG.qrCode.logo);
+
+    const qrCode = await new MakerspaceScraper().generateQRCode('https://example.edu/lamp/', 'lamp');
+    const svg = await fs.readFile(path.join(CONFIG.qrCodePath, 'lamp.svg'), 'utf8');
+
+    assert.equal(qrCode, 'assets/qr-codes/lamp.svg');
+    assert.match(svg, /stroke="#500082"/);
+    assert.match(svg, /<image [^>]*href="data:image\/png;base64,/);
+  });
+
+  it('composites the logo onto PNG codes', async () => {
+    CONFIG.qrCode.logo = path.join(tmpDir, 'logo.png');
+    await sharp({ create: { width: 40, height: 40, channels: 3, background: '#FF0000' } }).png().toFile(CONFIG.qrCode.logo);
+
+    await new MakerspaceScraper().generateQRCode('https://example.edu/lamp/', 'lamp');
+    const { data } = await sharp(path.join(CONFIG.qrCodePath, 'lamp.png')).raw().toBuffer({ resolveWithObject: true });
+    const { width, channels } = await sharp(path.join(CONFIG.qrCodePath, 'lamp.png')).metadata();
+    const center = (Math.floor(width / 2) * width + Math.floor(width / 2)) * channels;
+
+    assert.deepEqual([...data.subarray(center, center + 3)], [255, 0, 0]);
+  });
+
+  it('adds tracking parameters to the encoded URL only', () => {
+    CONFIG.qrCode.queryParams = { utm_source: 'lobby-display', utm_medium: 'qr' };
+
+    assert.equal(
+      new MakerspaceScraper().buildQrTarget('https://example.edu/lamp/?p=1'),
+      'https://example.edu/lamp/?p=1&utm_source=lobby-display&utm_medium=qr'
+    );
+  });
+
+  it('encodes the project page on the published display with target: page', () => {
+    CONFIG.qrCode.target = 'page';
+
+    assert.equal(
+      new MakerspaceScraper().buildQrTarget('https://example.edu/lamp/', 'laser-cut-lamp'),
+      `${CONFIG.publicUrl}projects/laser-cut-lamp/`
+    );
+  });
+});
+
+describe('parseSrcset()', () => {
+  const scraper = new MakerspaceScraper();
+
+  it('picks the widest source', () => {
+    assert.deepEqual(scraper.parseSrcset('a.jpg 300w, b.jpg 1024w, c.jpg 768w'), { url: 'b.jpg', width: 1024, density: 0 });
+  });
+
+  it('picks the highest density source', () => {
+    assert.equal(scraper.parseSrcset('a.jpg, b.jpg 2x').url, 'b.jpg');
+  });
+
+  it('returns null without a srcset', () => {
+    assert.equal(scraper.parseSrcset(undefined), null);
+  });
+});
+
+describe('mirrorProjectImages()', () => {
+  it('saves display-sized and thumbnail copies and records their paths', async () => {
+    const scraper = new MakerspaceScraper();
+    const project = scraper.createProjectRecord(`${server.baseUrl}laser-cut-lamp/`);
+    project.images.main = `${server.origin}/makerspace/wp-content/uploads/2025/03/lamp-finished.jpg`;
+
+    await scraper.mirrorProjectImages(project);
+
+    assert.match(project.images.mirrored.main, /^assets\/images\/projects\/laser-cut-lamp\/[0-9a-f]{12}\.webp$/);
+    assert.match(project.images.thumbnail, /-thumb\.webp$/);
+
+    const toFile = publicPath => path.join(CONFIG.images.outputPath, publicPath.replace(CONFIG.images.publicPath, ''));
+    const display = await sharp(toFile(project.images.mirrored.main)).metadata();
+    const thumbnail = await sharp(toFile(project.images.thumbnail)).metadata();
+    assert.deepEqual([display.width, display.height], [600, 450]);
+    assert.deepEqual([thumbnail.width, thumbnail.height], [240, 180]);
+  });
+
+  it('leaves the mirrored paths empty when the download fails', async () => {
+    const scraper = new MakerspaceScraper();
+    const project = scraper.createProjectRecord(`${server.baseUrl}robot-arm/`);
+    project.images.main = `${server.origin}/makerspace/wp-content/uploads/missing.jpg`;
+    project.images.gallery = [
+      `${server.origin}/makerspace/wp-content/uploads/missing.jpg`,
+      `${server.origin}/makerspace/wp-content/uploads/2025/03/lamp-finished.jpg`
+    ];
+
+    await scraper.mirrorProjectImages(project);
+
+    assert.equal(project.images.mirrored.main, '');
+    assert.equal(project.images.thumbnail, '');
+    // Gallery copies keep the positions of the images they were made from
+    assert.equal(project.images.mirrored.gallery.length, 2);
+    assert.equal(project.images.mirrored.gallery[0], '');
+    assert.match(project.images.mirrored.gallery[1], /^assets\/images\/projects\/robot-arm\/[0-9a-f]{12}\.webp$/);
+    await fs.remove(path.join(CONFIG.images.outputPath, 'robot-arm'));
+  });
+
+  it('cleans up images no saved project references', async () => {
+    const staleDir = path.join(CONFIG.images.outputPath, 'removed-project');
+    await fs.outputFile(path.join(staleDir, 'abc.webp'), '');
+
+    const scraper = new MakerspaceScraper();
+    const project = scraper.createProjectRecord(`${server.baseUrl}laser-cut-lamp/`);
+    project.images.main = `${server.origin}/makerspace/wp-content/uploads/2025/03/lamp-finished.jpg`;
+    await scraper.mirrorProjectImages(project);
+    scraper.projects = [project];
+
+    const orphaned = await scraper.cleanupOrphanedImages();
+
+    assert.deepEqual(orphaned, ['removed-project/abc.webp']);
+    assert.equal(await fs.pathExists(staleDir), false);
+    assert.equal((await fs.readdir(path.join(CONFIG.images.outputPath, 'laser-cut-lamp'))).length, 2);
+  });
+
+  it('keeps mirrored images when mirroring is turned off', async () => {
+    const imageFile = path.join(CONFIG.images.outputPath, 'solar-car/abc.webp');
+    await fs.outputFile(imageFile, '');
+    const originalMirror = CONFIG.images.mirror;
+    CONFIG.images.mirror = false;
+    try {
+      const scraper = new MakerspaceScraper();
+      scraper.projects = [await scraper.scrapeProject(`${server.baseUrl}solar-car/`)];
+
+      assert.deepEqual(await scraper.cleanupOrphanedImages(), []);
+      assert.equal(await fs.pathExists(imageFile), true);
+    } finally {
+      CONFIG.images.mirror = originalMirror;
+      await fs.remove(path.dirname(imageFile));
+    }
+  });
+});
+
+describe('matchesTagFilter()', () => {
+  const scraper = new MakerspaceScraper();
+  const originalFilter = { ...CONFIG.tagFilter };
+
+  beforeEach(() => {
+    CONFIG.tagFilter = { ...originalFilter };
+  });
+
+  after(() => {
+    CONFIG.tagFilter = originalFilter;
+  });
+
+  it('requires any of the required tags by default', () => {
+    CONFIG.tagFilter.requiredTags = ['makerspace', 'robotics'];
+
+    assert.equal(scraper.matchesTagFilter({ tags: ['Makerspace', 'textiles'] }), true);
+    assert.equal(scraper.matchesTagFilter({ tags: ['robotics'] }), true);
+    assert.equal(scraper.matchesTagFilter({ tags: ['textiles'] }), false);
+  });
+
+  it('requires every required tag in "all" mode', () => {
+    CONFIG.tagFilter.mode = 'all';
+    CONFIG.tagFilter.requiredTags = ['makerspace', 'robotics'];
+
+    assert.equal(scraper.matchesTagFilter({ tags: ['makerspace', 'robotics'] }), true);
+    assert.equal(scraper.matchesTagFilter({ tags: ['makerspace'] }), false);
+  });
+
+  it('matches synonyms of a required tag but not tags that merely contain it', () => {
+    CONFIG.tagFilter.requiredTags = ['fab lab'];
+
+    assert.equal(scraper.matchesTagFilter({ tags: ['FabLab'] }), true);
+    assert.equal(scraper.matchesTagFilter({ tags: ['Fab Lab Open Hours'] }), false);
+
+    CONFIG.tagFilter.requiredTags = ['lab'];
+    assert.equal(scraper.matchesTagFilter({ tags: ['collaboration'] }), false);
+  });
+
+  it('excludes projects without tags and includes everything when disabled', () => {
+    assert.equal(scraper.matchesTagFilter({ tags: [] }), false);
+
+    CONFIG.tagFilter.enabled = false;
+    assert.equal(scraper.matchesTagFilter({ tags: [] }), true);
+  });
+});
+
+describe('filterTags()', () => {
+  it('maps tags to canonical names and removes excluded ones', () => {
+    const scraper = new MakerspaceScraper();
+
+    assert.deepEqual(
+      scraper.filterTags(['makerspace', 'laser cutting', 'Fab Lab', 'FabLab', 'Williams College', '3d-printing', '3D Print']),
+      ['Laser Cutting', '3D Printing']
+    );
+  });
+
+  it('keeps tags that only contain an excluded word', () => {
+    assert.deepEqual(new MakerspaceScraper().filterTags(['collaboration', 'college essays']), ['collaboration', 'college essays']);
+  });
+});
+
+describe('sites', () => {
+  afterEach(() => {
+    CONFIG.sites = [];
+  });
+
+  it('prefixes IDs of projects from every site but the first', () => {
+    CONFIG.sites = [
+      { id: 'makerspace', baseUrl: server.baseUrl },
+      { id: 'fablab', label: 'Partner FabLab', baseUrl: `${server.origin}/fablab/projects` }
+    ];
+    const [first, second] = resolveSites();
+    const scraper = new MakerspaceScraper();
+
+    assert.equal(scraper.generateProjectId(`${server.baseUrl}robot-arm/`, first), 'robot-arm');
+    assert.equal(scraper.generateProjectId(`${server.origin}/fablab/projects/robot-arm/`, second), 'fablab-robot-arm');
+    assert.equal(second.siteUrl, `${server.origin}/fablab/`);
+  });
+
+  it('applies each site\'s own tag filter and excluded tags', () => {
+    CONFIG.sites = [
+      { id: 'makerspace', baseUrl: server.baseUrl },
+      { id: 'fablab', baseUrl: server.baseUrl, tagFilter: { requiredTags: ['robotics'] }, excludedTags: ['robotics'] }
+    ];
+    const [first, second] = resolveSites();
+    const scraper = new MakerspaceScraper();
+    const project = { tags: ['Robotics', 'makerspace'] };
+
+    assert.equal(scraper.matchesTagFilter({ tags: ['Robotics'] }, first), false);
+    assert.equal(scraper.matchesTagFilter({ tags: ['Robotics'] }, second), true);
+    assert.equal(second.tagFilter.mode, CONFIG.tagFilter.mode);
+    assert.deepEqual(scraper.filterTags(project.tags, first), ['Robotics']);
+    assert.deepEqual(scraper.filterTags(project.tags, second), ['Makerspace']);
+  });
+});
+
+describe('saveData()', () => {
+  it('writes projects and stats to CONFIG.dataPath', async () => {
+    const scraper = new MakerspaceScraper();
+    const project = await scraper.scrapeProject(`${server.baseUrl}knitting-machine/`);
+    scraper.projects.push(project);
+
+    await scraper.saveData();
+    const data = await fs.readJson(CONFIG.dataPath);
+
+    assert.equal(data.totalProjects, 1);
+    assert.equal(data.projects[0].id, 'knitting-machine');
+    assert.equal(data.scrapingStats.projectsScraped, 1);
+    assert.ok(!Number.isNaN(Date.parse(data.lastUpdated)));
+    assert.equal(data.schemaVersion, SCHEMA_VERSION);
+  });
+
+  it('rejects records that do not match the schema, with reasons', async () => {
+    const scraper = new MakerspaceScraper();
+    const valid = await scraper.scrapeProject(`${server.baseUrl}knitting-machine/`);
+    const broken = { ...valid, id: 'broken', url: `${server.baseUrl}broken/`, title: '', tags: 'knitting' };
+    scraper.projects.push(valid, broken);
+
+    await scraper.saveData();
+    const data = await fs.readJson(CONFIG.dataPath);
+
+    assert.deepEqual(data.projects.map(project => project.id), ['knitting-machine']);
+    assert.equal(data.totalProjects, 1);
+    assert.equal(scraper.stats.errors, 1);
+    const record = scraper.urlReport.get(`${server.baseUrl}broken/`);
+    assert.equal(record.status, 'invalid');
+    assert.match(record.error, /\/title must NOT have fewer than 1 characters/);
+    assert.match(record.error, /\/tags must be array/);
+  });
+});
+
+describe('checkDatasetSafety()', () => {
+  const previousData = {
+    projects: ['a', 'b', 'c', 'd'].map(id => ({ id, url: `https://example.edu/projects/${id}/`, title: id }))
+  };
+  const entries = previousData.projects.map(project => ({ url: project.url }));
+
+  it('accepts a result within the thresholds', () => {
+    const scraper = new MakerspaceScraper();
+    scraper.projects = previousData.projects.slice(0, 3);
+
+    assert.equal(scraper.checkDatasetSafety(previousData, entries).ok, true);
+  });
+
+  it('rejects a large drop in project count and lists the missing projects', () => {
+    const scraper = new MakerspaceScraper();
+    scraper.projects = previousData.projects.slice(0, 1);
+
+    const check = scraper.checkDatasetSafety(previousData, entries.slice(0, 2));
+
+    assert.equal(check.ok, false);
+    assert.match(check.reasons[0], /dropped from 4 to 1/);
+    assert.deepEqual(
+      check.report.missingProjects.map(project => [project.id, project.stillListed]),
+      [['b', true], ['c', false], ['d', false]]
+    );
+  });
+
+  it('rejects a high error rate', () => {
+    const scraper = new MakerspaceScraper();
+    scraper.projects = previousData.projects;
+    scraper.stats.projectsAttempted = 4;
+    scraper.stats.errors = 2;
+
+    const check = scraper.checkDatasetSafety(previousData, entries);
+
+    assert.equal(check.ok, false);
+    assert.match(check.reasons[0], /error rate 50%/);
+  });
+
+  it('measures the error rate against scraped projects only, not reused ones', () => {
+    const scraper = new MakerspaceScraper();
+    scraper.projects = previousData.projects.slice(0, 3);
+    // Three projects reused from the last run, one scraped and failed
+    scraper.stats.projectsReused = 3;
+    scraper.stats.projectsAttempted = 1;
+    scraper.stats.errors = 1;
+
+    const check = scraper.checkDatasetSafety(previousData, entries);
+
+    assert.equal(check.ok, false);
+    assert.match(check.reasons[0], /error rate 100% \(1 errors for 1 projects scraped/);
+  });
+});
+
+describe('applyOverrides()', () => {
+  const scraped = () => ({
+    id: 'lamp',
+    url: 'https://example.edu/projects/lamp/',
+    title: 'Lamp | Williams College',
+    images: { main: 'https://example.edu/banner.jpg', thumbnail: '', gallery: ['https://example.edu/lamp.jpg'] }
+  });
+
+  it('replaces fields, merges nested objects and sets flags', () => {
+    const scraper = new MakerspaceScraper();
+    scraper.overrides = {
+      lamp: { title: 'Laser Cut Lamp', images: { main: 'https://example.edu/lamp.jpg' }, pinned: true, featured: true, _note: 'Asked by Jordan' }
+    };
+
+    const project = scraper.applyOverrides(scraped());
+
+    assert.equal(project.title, 'Laser Cut Lamp');
+    assert.deepEqual(project.images.gallery, ['https://example.edu/lamp.jpg']);
+    assert.equal(project.images.main, 'https://example.edu/lamp.jpg');
+    assert.equal(project.pinned, true);
+    assert.equal(project.featured, true);
+    assert.equal(project._note, undefined);
+    assert.deepEqual(project.originalFields, { title: 'Lamp | Williams College', images: scraped().images });
+  });
+
+  it('never changes the id or url', () => {
+    const scraper = new MakerspaceScraper();
+    scraper.overrides = { lamp: { id: 'other', url: 'https://example.edu/other/' } };
+
+    const project = scraper.applyOverrides(scraped());
+
+    assert.equal(project.id, 'lamp');
+    assert.equal(project.url, 'https://example.edu/projects/lamp/');
+  });
+
+  it('starts reused projects from the scraped values, not last run\'s overrides', async () => {
+    const scraper = new MakerspaceScraper();
+    const previous = { ...scraped(), title: 'Old Override', pinned: true, originalFields: { title: 'Lamp | Williams College' } };
+
+    const project = await scraper.reuseProject(previous);
+
+    assert.equal(project.title, 'Lamp | Williams College');
+    assert.equal(project.pinned, undefined);
+    assert.equal(project.originalFields, undefined);
+  });
+
+  it('reports overrides for projects that were not discovered', () => {
+    const scraper = new MakerspaceScraper();
+    scraper.overrides = { lamp: { hidden: true }, 'renamed-project': { pinned: true } };
+
+    assert.deepEqual(scraper.warnAboutStaleOverrides([{ url: `${CONFIG.baseUrl}lamp/` }]), ['renamed-project']);
+  });
+});
+
+describe('computeChanges()', () => {
+  const previousProject = {
+    id: 'lamp',
+    url: 'https://example.edu/projects/lamp/',
+    title: 'Lamp',
+    author: 'Jordan Lee',
+    tags: ['laser cutting'],
+    images: { main: 'https://example.edu/lamp.jpg', thumbnail: '', gallery: [] }
+  };
+
+  it('lists added, removed and field-level modified projects', () => {
+    const scraper = new MakerspaceScraper();
+    scraper.projects = [
+      { ...previousProject, title: 'Laser Cut Lamp', tags: ['laser cutting', 'lighting'] },
+      { id: 'arm', url: 'https://example.edu/projects/arm/', title: 'Robot Arm', tags: [], images: {} }
+    ];
+    const previousData = {
+      projects: [previousProject, { id: 'gone', url: 'https://example.edu/projects/gone/', title: 'Gone' }]
+    };
+
+    const changes = scraper.computeChanges(previousData);
+
+    assert.deepEqual(changes.summary, { added: 1, removed: 1, modified: 1, unchanged: 0 });
+    assert.equal(changes.added[0].id, 'arm');
+    assert.equal(changes.removed[0].id, 'gone');
+    assert.deepEqual(changes.modified[0].changes, [
+      { field: 'title', before: 'Lamp', after: 'Laser Cut Lamp' },
+      { field: 'tags', before: ['laser cutting'], after: ['laser cutting', 'lighting'] }
+    ]);
+    assert.match(scraper.renderChangesMarkdown(changes), /- tags: \[laser cutting\] -> \[laser cutting, lighting\]/);
+  });
+
+  it('counts identical projects as unchanged', () => {
+    const scraper = new MakerspaceScraper();
+    scraper.projects = [{ ...previousProject, dateScraped: new Date().toISOString() }];
+
+    const changes = scraper.computeChanges({ projects: [previousProject] });
+
+    assert.deepEqual(changes.summary, { added: 0, removed: 0, modified: 0, unchanged: 1 });
+  });
+});
+
+describe('cleanupOrphanedQRCodes()', () => {
+  it('deletes QR codes for projects that are no longer saved, or in the old format', async () => {
+    await fs.emptyDir(CONFIG.qrCodePath);
+    await fs.writeFile(path.join(CONFIG.qrCodePath, 'kept.png'), '');
+    await fs.writeFile(path.join(CONFIG.qrCodePath, 'removed.png'), '');
+    await fs.writeFile(path.join(CONFIG.qrCodePath, 'kept.svg'), ''); // From before switching format
+    await fs.writeFile(path.join(CONFIG.qrCodePath, '.gitkeep'), '');
+
+    const scraper = new MakerspaceScraper();
+    scraper.projects = [{ id: 'kept' }];
+    const orphaned = await scraper.cleanupOrphanedQRCodes();
+
+    assert.deepEqual(orphaned.sort(), ['kept.svg', 'removed.png']);
+    assert.deepEqual((await fs.readdir(CONFIG.qrCodePath)).sort(), ['.gitkeep', 'kept.png']);
+  });
+});
+
+describe('scrape()', () => {
+  it('refuses to overwrite projects.json with a shrunken dataset', async () => {
+    const previousData = {
+      projects: Array.from({ length: 10 }, (value, i) => ({
+        id: `old-${i}`, url: `${server.baseUrl}old-${i}/`, title: `Old ${i}`
+      }))
+    };
+    await fs.outputJson(CONFIG.dataPath, previousData);
+    await fs.remove(CONFIG.diagnosticsPath);
+
+    await assert.rejects(new MakerspaceScraper().scrape(), /Refusing to overwrite/);
+
+    assert.deepEqual(await fs.readJson(CONFIG.dataPath), previousData);
+    const report = await fs.readJson(CONFIG.diagnosticsPath);
+    assert.equal(report.previousCount, 10);
+    assert.equal(report.missingProjects.length, 10);
+  });
+
+  it('saves filtered projects and a change report', async () => {
+    await fs.remove(CONFIG.dataPath);
+    const originalSafetyCheck = { ...CONFIG.safetyCheck };
+    CONFIG.safetyCheck.maxErrorRate = 1; // The fixtures include a blocked and a deleted project
+
+    try {
+      const scraper = new MakerspaceScraper();
+      await scraper.scrape();
+
+      const data = await fs.readJson(CONFIG.dataPath);
+      assert.deepEqual(data.projects.map(project => project.id), ['laser-cut-lamp', 'knitting-machine']);
+      assert.deepEqual(data.projects[0].tags, ['Laser Cutting']);
+
+      const tagIndex = await fs.readJson(CONFIG.tagsPath);
+      assert.deepEqual(tagIndex.tags.map(tag => [tag.name, tag.count]), [['Electronics', 1], ['Laser Cutting', 1], ['Textiles', 1]]);
+      assert.equal(tagIndex.tags[1].color, '#FF8A65');
+
+      const page = await fs.readFile(path.join(CONFIG.pagesPath, 'laser-cut-lamp/index.html'), 'utf8');
+      assert.match(page, /<h1>Laser Cut Lamp<\/h1>/);
+      assert.match(page, /By Jordan Lee, Casey Morgan and Priya Shah/);
+      assert.match(page, /href="[^"]+\/laser-cut-lamp\/">Read the original post/);
+      assert.deepEqual((await fs.readdir(CONFIG.pagesPath)).sort(), ['knitting-machine', 'laser-cut-lamp']);
+
+      const jsonFeed = await fs.readJson(CONFIG.jsonFeedPath);
+      assert.deepEqual(jsonFeed.items.map(item => item.title), ['Laser Cut Lamp', 'Knitting Machine Hack']);
+      assert.match(await fs.readFile(CONFIG.feedPath, 'utf8'), /<title>Laser Cut Lamp<\/title>/);
+
+      const changes = await fs.readJson(CONFIG.changesPath);
+      assert.deepEqual(changes.added.map(project => project.id), ['laser-cut-lamp', 'knitting-machine']);
+      assert.match(await fs.readFile(CONFIG.changesMarkdownPath, 'utf8'), /^2 added, 0 removed/);
+
+      const report = await fs.readJson(CONFIG.reportPath);
+      const byUrl = Object.fromEntries(report.urls.map(record => [record.url.replace(server.baseUrl, ''), record]));
+      assert.equal(byUrl[''].type, 'listing');
+      assert.equal(byUrl['robot-arm/'].included, false);
+      assert.equal(byUrl['cloudflare-blocked/'].reason, 'challenge');
+      assert.equal(byUrl['deleted-project/'].status, 'not-found');
+      assert.deepEqual(report.summary, { ok: 5, failed: 1, 'not-found': 1 });
+    } finally {
+      CONFIG.safetyCheck = originalSafetyCheck;
+    }
+  });
+
+  it('applies overrides from overrides.json', async () => {
+    await fs.remove(CONFIG.dataPath);
+    await fs.outputJson(CONFIG.overridesPath, {
+      _comment: 'Test overrides',
+      'knitting-machine': { hidden: true },
+      'laser-cut-lamp': { title: 'Laser Cut Lamp', featured: true }
+    });
+    const originalSafetyCheck = { ...CONFIG.safetyCheck };
+    CONFIG.safetyCheck.maxErrorRate = 1;
+
+    try {
+      await new MakerspaceScraper().scrape();
+
+      const data = await fs.readJson(CONFIG.dataPath);
+      assert.deepEqual(data.projects.map(project => [project.id, project.title, project.featured]), [
+        ['laser-cut-lamp', 'Laser Cut Lamp', true]
+      ]);
+    } finally {
+      CONFIG.safetyCheck = originalSafetyCheck;
+      await fs.remove(CONFIG.overridesPath);
+    }
+  });
+
+  it('holds new projects for approval and leaves rejected ones out', async () => {
+    const previous = await new MakerspaceScraper().scrapeProject(`${server.baseUrl}laser-cut-lamp/`);
+    await fs.outputJson(CONFIG.dataPath, { projects: [previous] });
+    await fs.outputJson(CONFIG.moderationPath, { approved: {}, rejected: { 'solar-car': {} } });
+    const originalSafetyCheck = { ...CONFIG.safetyCheck };
+    CONFIG.safetyCheck.maxErrorRate = 1;
+    CONFIG.moderation.enabled = true;
+
+    try {
+      await new MakerspaceScraper().scrape();
+
+      const data = await fs.readJson(CONFIG.dataPath);
+      assert.deepEqual(data.projects.map(project => project.id), ['laser-cut-lamp']);
+      const pending = await fs.readJson(CONFIG.pendingPath);
+      assert.deepEqual(pending.projects.map(project => project.id), ['knitting-machine']);
+      assert.match(await fs.readFile(CONFIG.changesMarkdownPath, 'utf8'), /Awaiting approval[^\n]*\n- Knitting Machine Hack/);
+      assert.deepEqual(Object.keys((await fs.readJson(CONFIG.moderationPath)).approved), ['laser-cut-lamp']);
+
+      // Missing from one run's projects.json, but recorded as approved, so not held back again
+      await fs.outputJson(CONFIG.dataPath, { projects: [] });
+      await new MakerspaceScraper().scrape();
+      assert.deepEqual((await fs.readJson(CONFIG.dataPath)).projects.map(project => project.id), ['laser-cut-lamp']);
+    } finally {
+      CONFIG.safetyCheck = originalSafetyCheck;
+      CONFIG.moderation.enabled = false;
+      await fs.remove(CONFIG.moderationPath);
+    }
+  });
+
+  it('aggregates projects from several sites, labelled by source', async () => {
+    await fs.remove(CONFIG.dataPath);
+    const originalSafetyCheck = { ...CONFIG.safetyCheck };
+    CONFIG.safetyCheck.maxErrorRate = 1;
+    CONFIG.sites = [
+      { id: 'makerspace', label: 'Makerspace', baseUrl: server.baseUrl },
+      { id: 'fablab', label: 'Partner FabLab', baseUrl: `${server.origin}/fablab/projects/`, tagFilter: { enabled: false } }
+    ];
+
+    try {
+      await new MakerspaceScraper().scrape();
+
+      const data = await fs.readJson(CONFIG.dataPath);
+      assert.deepEqual(data.projects.map(project => [project.id, project.source]), [
+        ['laser-cut-lamp', 'makerspace'],
+        ['knitting-machine', 'makerspace'],
+        ['fablab-knitting-machine', 'fablab']
+      ]);
+      assert.deepEqual(data.sources.map(source => [source.id, source.label]), [['makerspace', 'Makerspace'], ['fablab', 'Partner FabLab']]);
+      assert.equal(data.scrapingStats.projectsFound, 6);
+    } finally {
+      CONFIG.safetyCheck = originalSafetyCheck;
+      CONFIG.sites = [];
+    }
+  });
+
+  it('logs fetches and the run summary as JSON lines to logging.file', async () => {
+    await fs.remove(CONFIG.dataPath);
+    const originalSafetyCheck = { ...CONFIG.safetyCheck };
+    const originalLogging = { ...CONFIG.logging };
+    CONFIG.safetyCheck.maxErrorRate = 1;
+    CONFIG.logging.level = 'debug';
+    CONFIG.logging.file = path.join(tmpDir, 'logs/scrape.jsonl');
+
+    try {
+      await new MakerspaceScraper().scrape();
+
+      const records = (await fs.readFile(CONFIG.logging.file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      const fetch = records.find(record => record.event === 'fetch' && record.url === `${server.baseUrl}laser-cut-lamp/`);
+      assert.equal(fetch.type, 'project');
+      assert.equal(typeof fetch.durationMs, 'number');
+      assert.deepEqual(records.filter(record => record.event === 'listing.page').map(record => record.page), [1, 2]);
+      assert.ok(records.some(record => record.event === 'fetch.retry' && record.error));
+
+      const summaries = records.filter(record => record.event === 'scrape.summary');
+      assert.equal(summaries.length, 1);
+      assert.equal(summaries[0].projectsFound, 5);
+      assert.equal(summaries[0].projectsIncluded, 2);
+      assert.equal(typeof summaries[0].durationMs, 'number');
+    } finally {
+      CONFIG.safetyCheck = originalSafetyCheck;
+      CONFIG.logging = originalLogging;
+    }
+  });
+
+  it('stops when overrides.json is broken rather than undoing staff edits', async () => {
+    await fs.outputFile(CONFIG.overridesPath, '{ "laser-cut-lamp": { hidden: true } }');
+
+    try {
+      await assert.rejects(new MakerspaceScraper().scrape(), /Invalid overrides file/);
+    } finally {
+      await fs.remove(CONFIG.overridesPath);
+    }
+  });
+
+  it('writes nothing in dry-run mode', async () => {
+    await fs.remove(CONFIG.dataPath);
+    await fs.emptyDir(CONFIG.qrCodePath);
+    CONFIG.dryRun = true;
+
+    try {
+      const scraper = new MakerspaceScraper();
+      await scraper.scrape();
+
+      assert.equal(scraper.projects.length, 2);
+      assert.equal(await fs.pathExists(CONFIG.dataPath), false);
+      assert.deepEqual(await fs.readdir(CONFIG.qrCodePath), []);
+    } finally {
+      CONFIG.dryRun = false;
+    }
+  });
+});
+
+describe('incremental runs', () => {
+  const originalSafetyCheck = { ...CONFIG.safetyCheck };
+  const lampRoute = '/makerspace/projects/laser-cut-lamp/';
+  const byPath = report => Object.fromEntries(report.urls.map(record => [record.url.replace(server.baseUrl, ''), record]));
+
+  beforeEach(async () => {
+    await fs.remove(CONFIG.dataPath);
+    CONFIG.safetyCheck.maxErrorRate = 1; // The fixtures include a blocked and a deleted project
+    await new MakerspaceScraper().scrape();
+    server.requests.length = 0;
+    server.notModified.length = 0;
+  });
+
+  afterEach(() => {
+    CONFIG.safetyCheck = { ...originalSafetyCheck };
+    server.routes[lampRoute].file = 'project-laser-cut-lamp.html';
+  });
+
+  it('reuses unchanged projects, by 304 Not Modified or an unchanged content hash', async () => {
+    const scraper = new MakerspaceScraper();
+    await scraper.scrape();
+
+    assert.equal(scraper.stats.projectsReused, 2);
+    assert.equal(scraper.stats.projectsScraped, 0);
+    assert.deepEqual(server.notModified, ['/makerspace/projects/knitting-machine/']);
+    // The lamp sends no ETag, so its page is fetched once and compared by hash
+    assert.equal(server.requests.filter(pathname => pathname === lampRoute).length, 1);
+
+    const report = byPath(await fs.readJson(CONFIG.reportPath));
+    assert.equal(report['laser-cut-lamp/'].status, 'reused');
+    assert.equal(report['knitting-machine/'].status, 'reused');
+    assert.deepEqual((await fs.readJson(CONFIG.changesPath)).summary, { added: 0, removed: 0, modified: 0, unchanged: 2 });
+  });
+
+  it('re-scrapes a project whose page changed', async () => {
+    server.routes[lampRoute].file = 'project-laser-cut-lamp-updated.html';
+
+    const scraper = new MakerspaceScraper();
+    await scraper.scrape();
+
+    assert.equal(scraper.stats.projectsScraped, 1);
+    assert.equal(scraper.stats.projectsReused, 1);
+    const data = await fs.readJson(CONFIG.dataPath);
+    assert.match(data.projects.find(project => project.id === 'laser-cut-lamp').content, /dimmer knob/);
+  });
+
+  it('skips unchanged pages the tag filter dropped last run', async () => {
+    const data = await fs.readJson(CONFIG.dataPath);
+    assert.deepEqual(data.filteredOut.map(skipped => [skipped.url, skipped.tags]), [
+      [`${server.baseUrl}robot-arm/`, ['3D printing', 'robotics']]
+    ]);
+
+    await new MakerspaceScraper().scrape();
+
+    const report = byPath(await fs.readJson(CONFIG.reportPath));
+    assert.equal(report['robot-arm/'].status, 'reused');
+    assert.equal(report['robot-arm/'].included, false);
+    // Remembered again for the run after
+    assert.equal((await fs.readJson(CONFIG.dataPath)).filteredOut.length, 1);
+  });
+
+  it('scrapes a filtered-out page again once the tag filter would let it through', async () => {
+    CONFIG.tagFilter.requiredTags = ['makerspace', 'robotics'];
+
+    try {
+      const scraper = new MakerspaceScraper();
+      await scraper.scrape();
+
+      assert.equal(scraper.stats.projectsScraped, 1);
+      const data = await fs.readJson(CONFIG.dataPath);
+      assert.ok(data.projects.some(project => project.id === 'robot-arm'));
+      assert.deepEqual(data.filteredOut, []);
+    } finally {
+      CONFIG.tagFilter.requiredTags = ['makerspace'];
+    }
+  });
+});
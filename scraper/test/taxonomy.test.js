@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TagTaxonomy, tagKey } from '../taxonomy.js';
+
+const taxonomy = new TagTaxonomy({
+  tags: {
+    '3D Printing': { synonyms: ['3d print', 'additive manufacturing'], color: '#4FC3F7' },
+    'Laser Cutting': { synonyms: ['laser cut'] }
+  }
+});
+
+describe('tagKey()', () => {
+  it('ignores case, spacing, hyphens and underscores', () => {
+    assert.equal(tagKey(' 3D-Printing '), '3d printing');
+    assert.equal(tagKey('3d__printing'), '3d printing');
+  });
+});
+
+describe('TagTaxonomy', () => {
+  it('maps synonyms and spelling variants to the canonical name', () => {
+    assert.equal(taxonomy.canonicalize('3d-printing'), '3D Printing');
+    assert.equal(taxonomy.canonicalize('3D Print'), '3D Printing');
+    assert.equal(taxonomy.canonicalize('Additive Manufacturing'), '3D Printing');
+  });
+
+  it('keeps unknown tags with tidied spacing', () => {
+    assert.equal(taxonomy.canonicalize('  sewing   machines '), 'sewing machines');
+  });
+
+  it('removes duplicates once tags are canonical', () => {
+    assert.deepEqual(
+      taxonomy.canonicalizeAll(['3d print', 'Laser cut', '3D Printing', 'textiles', 'Textiles', '']),
+      ['3D Printing', 'Laser Cutting', 'textiles']
+    );
+  });
+
+  it('describes tags with a slug and optional color', () => {
+    assert.deepEqual(taxonomy.describe('3D Printing'), { name: '3D Printing', slug: '3d-printing', color: '#4FC3F7' });
+    assert.deepEqual(taxonomy.describe('textiles'), { name: 'textiles', slug: 'textiles', color: null });
+  });
+
+  it('rejects a synonym listed under two tags', () => {
+    assert.throws(
+      () => new TagTaxonomy({ tags: { CNC: { synonyms: ['milling'] }, Machining: { synonyms: ['milling'] } } }),
+      /"milling" is listed under both "CNC" and "Machining"/
+    );
+  });
+});
@@ -3,11 +3,19 @@ const CONFIG = {
     cycleDuration: 15000, // 15 seconds per project set
     animationDuration: 500, // Animation duration in ms
     projectsPerPage: 9, // Number of projects to show at once (3x3 grid)
-    dataUrl: './data/projects.json'
+    dataUrl: './data/projects.json',
+    tagsUrl: './data/tags.json', // Tag index with display colors, optional
+    schemaVersion: 1, // Version of data/projects.schema.json this display understands
+    newBadgeDays: 30, // Projects published within this many days get a "New" badge
+    maxAuthorsShown: 3, // Longer maker lists are shortened to "A, B and 3 others"
+    showSourceBadges: true, // Label each card with its site when projects come from more than one
+    playVideos: true // Play a project's video file muted on a loop in place of its image; false = show the poster
 };
 
 // Application state
 let allProjects = [];
+let tagColors = new Map();
+let sourceLabels = new Map(); // Site id -> label, only filled when there are several sites
 let currentProjectIndex = 0;
 let isLoading = true;
 let cycleTimer = null;
@@ -29,7 +37,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     console.log('Project counter element:', projectCounter);
     
     try {
-        await loadProjects();
+        await Promise.all([loadProjects(), loadTagIndex()]);
         if (allProjects.length > 0) {
             hideLoading();
             startProjectCycle();
@@ -53,61 +61,134 @@ async function loadProjects() {
         }
         
         const data = await response.json();
-        allProjects = data.projects || [];
+        checkSchemaVersion(data);
+        allProjects = Array.isArray(data.projects) ? data.projects : [];
+        
+        const sources = Array.isArray(data.sources) ? data.sources : [];
+        sourceLabels = CONFIG.showSourceBadges && sources.length > 1
+            ? new Map(sources.filter(source => source && source.id).map(source => [source.id, source.label || source.id]))
+            : new Map();
         
         console.log(`Loaded ${allProjects.length} projects`);
         console.log('Project data:', data);
         
-        // Filter out projects with missing essential data
+        // Filter out projects with missing essential data, so a mismatched file still shows what it can
         allProjects = allProjects.filter(project => 
-            project.title && 
-            project.url && 
-            project.qrCode
+            project &&
+            typeof project.title === 'string' && project.title &&
+            typeof project.url === 'string' && project.url &&
+            typeof project.qrCode === 'string' && project.qrCode
         );
         
         console.log(`${allProjects.length} projects after filtering`);
         
+        // Pinned projects go first so they are always on the first page; the rest keep their order
+        allProjects = [
+            ...allProjects.filter(project => project.pinned),
+            ...allProjects.filter(project => !project.pinned)
+        ];
+        
     } catch (error) {
         console.error('Error loading projects:', error);
         throw error;
     }
 }
 
-// Create HTML for a project card
+// Load tag colors from the tag index. The display works without it, so failures are only logged.
+async function loadTagIndex() {
+    try {
+        const response = await fetch(CONFIG.tagsUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        tagColors = new Map((data.tags || [])
+            .filter(tag => tag.name && tag.color)
+            .map(tag => [tag.name, tag.color]));
+    } catch (error) {
+        console.warn('Tag index not loaded, showing tags without colors:', error.message);
+    }
+}
+
+// Warn when projects.json was written for a different schema version than this display expects.
+// Loading carries on either way: cards are only built from projects that have the essential fields.
+function checkSchemaVersion(data) {
+    const version = data.schemaVersion;
+    
+    if (version === CONFIG.schemaVersion) {
+        return true;
+    }
+    
+    if (version === undefined) {
+        console.warn(`Project data has no schemaVersion (expected ${CONFIG.schemaVersion}); it may predate the schema`);
+    } else if (version > CONFIG.schemaVersion) {
+        console.warn(`Project data uses schema version ${version}, newer than supported version ${CONFIG.schemaVersion}; some fields may be ignored`);
+    } else {
+        console.warn(`Project data uses schema version ${version}, older than supported version ${CONFIG.schemaVersion}; some fields may be missing`);
+    }
+    return false;
+}
+
+// Create HTML for a project card. Every scraped string goes through escapeHtml (and URLs
+// through safeUrl), so a title with "<" or quotes can't break the markup or inject into the page.
 function createProjectCard(project) {
     // Clean up the title by removing the site suffix
-    const cleanTitle = project.title
+    const cleanTitle = escapeHtml(project.title
         .replace(' | Williams College: Makerspace & FabLab', '')
         .replace(' | Williams College Makerspace', '')
-        .trim();
+        .trim());
     
-    // Format author
-    const author = project.author || '';
+    // Format makers
+    const author = escapeHtml(formatAuthors(Array.isArray(project.authors) ? project.authors : [], project.author));
+    
+    // Format publish date, flagging recent projects
+    const published = project.dateCreated ? new Date(project.dateCreated) : null;
+    const hasDate = published && !Number.isNaN(published.getTime());
+    const dateHtml = hasDate
+        ? `<time class="project-date" datetime="${escapeHtml(project.dateCreated)}">${formatPublishDate(published)}</time>`
+        : '';
+    const isNew = hasDate && Date.now() - published.getTime() <= CONFIG.newBadgeDays * 24 * 60 * 60 * 1000;
     
     // Format tags
     const tagsHtml = project.tags && project.tags.length > 0 
-        ? project.tags.slice(0, 4).map(tag => `<span class="project-tag">${tag}</span>`).join('')
+        ? project.tags.slice(0, 4).map(tag => {
+            const color = tagColors.get(tag);
+            const style = color && /^#[0-9a-f]{6}$/i.test(color) ? ` style="border-color: ${color}; background: ${color}33"` : '';
+            return `<span class="project-tag"${style}>${escapeHtml(tag)}</span>`;
+        }).join('')
         : '';
     
-    // Handle main image
-    const imageHtml = project.images && project.images.main 
-        ? `<img src="${project.images.main}" alt="${cleanTitle}" onerror="this.parentElement.innerHTML='<div class=&quot;placeholder&quot;>No Image Available</div>'" />`
-        : '<div class="placeholder">No Image Available</div>';
+    // Label the site the project came from, when aggregating several
+    const sourceLabel = escapeHtml(sourceLabels.get(project.source));
+    
+    // Handle main image - prefer the local, display-sized copy and fall back to the original
+    const images = project.images || {};
+    const localImage = safeUrl(images.mirrored && images.mirrored.main);
+    const originalImage = safeUrl(images.main);
+    const imageSrc = localImage || originalImage;
+    const fallbackAttr = localImage && originalImage ? ` data-fallback="${escapeHtml(originalImage)}"` : '';
+    const imageHtml = createVideoHtml(project, imageSrc, cleanTitle) || (imageSrc 
+        ? `<img src="${escapeHtml(imageSrc)}" alt="${cleanTitle}"${fallbackAttr} onerror="handleImageError(this)" />`
+        : '<div class="placeholder">No Image Available</div>');
     
     return `
-        <div class="project-card fade-in">
+        <div class="project-card fade-in${project.featured ? ' featured' : ''}">
             <h3 class="project-title">
                 <span class="project-title-text">${cleanTitle}</span>
             </h3>
+            ${isNew ? '<span class="project-new-badge">New</span>' : ''}
             <div class="project-content">
                 <div class="project-image">
                     ${imageHtml}
                 </div>
                 <div class="project-sidebar">
                     <div class="qr-code">
-                        <img src="${project.qrCode}" alt="QR Code for ${cleanTitle}" />
+                        <img src="${escapeHtml(safeUrl(project.qrCode))}" alt="QR Code for ${cleanTitle}" />
                     </div>
                     ${author ? `<div class="project-author">By: ${author}</div>` : ''}
+                    ${dateHtml}
+                    ${sourceLabel ? `<div class="project-source-badge">${sourceLabel}</div>` : ''}
                     ${tagsHtml ? `<div class="project-tags">${tagsHtml}</div>` : ''}
                 </div>
             </div>
@@ -115,6 +196,94 @@ function createProjectCard(project) {
     `;
 }
 
+// HTML for a project's first video, shown in place of its image: a video file plays muted on a
+// loop, while embedded players (YouTube, Vimeo) and videos with playVideos off show their poster.
+// Returns '' when there's no video, or nothing to show for it, so the card keeps its image.
+function createVideoHtml(project, imageSrc, cleanTitle) {
+    const media = Array.isArray(project.media) ? project.media : [];
+    const video = media.find(item => item && (item.type === 'video' || item.poster));
+    if (!video) {
+        return '';
+    }
+    
+    const localPoster = safeUrl(video.mirroredPoster);
+    const originalPoster = safeUrl(video.poster);
+    const poster = localPoster || originalPoster || imageSrc || '';
+    const videoUrl = safeUrl(video.url);
+    
+    if (CONFIG.playVideos && video.type === 'video' && /^https?:/i.test(videoUrl)) {
+        const type = /^video\/[\w.+-]+$/.test(video.mimeType || '') ? ` type="${video.mimeType}"` : '';
+        const posterAttr = poster ? ` poster="${escapeHtml(poster)}"` : '';
+        return `<video muted loop autoplay playsinline preload="metadata"${posterAttr}><source src="${escapeHtml(videoUrl)}"${type} /></video>`;
+    }
+    
+    if (!poster) {
+        return '';
+    }
+    const fallbackAttr = localPoster && originalPoster ? ` data-fallback="${escapeHtml(originalPoster)}"` : '';
+    return `<img src="${escapeHtml(poster)}" alt="${cleanTitle}"${fallbackAttr} onerror="handleImageError(this)" />
+                    <span class="project-video-badge" aria-label="Video">▶</span>`;
+}
+
+// Escape text for use in HTML content or a double- or single-quoted attribute
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Only let through image URLs that are safe to load: http(s), paths relative to the site
+// and base64 image data URLs (inline QR codes). Anything else, e.g. javascript:, becomes ''.
+function safeUrl(value) {
+    const url = String(value ?? '').trim();
+    if (/^data:/i.test(url)) {
+        return /^data:image\/(?:png|jpeg|gif|webp|svg\+xml);base64,[a-z0-9+/=]+$/i.test(url) ? url : '';
+    }
+    if (/^[a-z][a-z0-9+.-]*:/i.test(url) && !/^https?:/i.test(url)) {
+        return '';
+    }
+    return url;
+}
+
+// Format a list of makers: "A", "A and B", "A, B and C", or "A, B and 3 others" past the limit.
+// Falls back to the plain author string from data written before authors were structured.
+function formatAuthors(authors, fallback = '') {
+    if (authors.length === 0) {
+        return fallback || '';
+    }
+    
+    if (authors.length > CONFIG.maxAuthorsShown) {
+        const shown = authors.slice(0, Math.max(1, CONFIG.maxAuthorsShown - 1));
+        const others = authors.length - shown.length;
+        return `${shown.join(', ')} and ${others} ${others === 1 ? 'other' : 'others'}`;
+    }
+    
+    if (authors.length === 1) {
+        return authors[0];
+    }
+    
+    return `${authors.slice(0, -1).join(', ')} and ${authors[authors.length - 1]}`;
+}
+
+// Format a publish date for the card, e.g. "Mar 4, 2025". Dates are stored in UTC.
+function formatPublishDate(date) {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+// Try the original image if the local copy fails to load, then show a placeholder
+function handleImageError(img) {
+    if (img.dataset.fallback) {
+        const fallback = img.dataset.fallback;
+        img.removeAttribute('data-fallback');
+        img.src = fallback;
+    } else {
+        img.parentElement.innerHTML = '<div class="placeholder">No Image Available</div>';
+    }
+}
+
 // Display a set of projects with wraparound to always show exactly 9 projects
 function displayProjects(startIndex) {
     const projectsToShow = [];
@@ -221,7 +390,7 @@ function showError(message) {
     projectsGrid.innerHTML = `
         <div class="error-message">
             <h3>⚠️ Error</h3>
-            <p>${message}</p>
+            <p>${escapeHtml(message)}</p>
         </div>
     `;
     console.error('Error displayed to user:', message);